@@ -6,857 +6,3712 @@
  */
 
 
-class CmsApi {
+class CmsApi extends EventTarget {
+
+  /**
+   * Default retry policy. Override globally with `new CmsApi({ retry : {...} })`,
+   * per endpoint with `retry.endpoints['/files/publish']`, or per call with `config.retry`.
+   *
+   * POST requests are only retried when the CMS cannot have processed them
+   * (`safeStatuses`), unless the endpoint is marked `idempotent`.
+   */
+  static defaultRetryPolicy = {
+
+    retries : 3,                                // max retry attempts after the first try
+    delay : 1000,                               // base delay for exponential backoff (ms)
+    maxDelay : 15_000,                          // cap for a single backoff delay (ms)
+    maxElapsed : 60_000,                        // no retry may start later than this after the first try (ms)
+    statuses : [408, 429, 500, 502, 503, 504],  // retriable HTTP statuses
+    codes : ['TIMEOUT'],                        // retriable CMS error code tokens (substring match)
+    network : true,                             // retry when no response was received at all
+    retryAfter : true,                          // honour the Retry-After response header
+    safeStatuses : [429, 503],                  // statuses meaning "not processed"; safe even for writes
+
+    // Writes that can be repeated without changing the outcome.
+    endpoints : {
+      '/directories/settings' : { idempotent : true },
+      '/files/checkin' : { idempotent : true },
+      '/files/checkout' : { idempotent : true },
+      '/files/properties' : { idempotent : true },
+      '/files/save' : { idempotent : true },
+      '/files/settings' : { idempotent : true },
+    },
+
+  };
+
+  /**
+   * Per-request options that endpoint helpers accept inside their params.
+   * call() moves them out of `data` so they are never sent to the CMS.
+   */
+  static requestOptions = ['signal', 'priority', 'cache', 'dedupe', 'onProgress', 'retry'];
+
+  // Log levels in increasing severity; 'silent' disables logging.
+  static logLevels = ['debug', 'info', 'warn', 'error', 'silent'];
+
+  /**
+   * How iterate() pages through listing endpoints (keyed by helper name).
+   *   - offset / limit : param names for the first item index and the page size
+   *   - pageSize       : default page size
+   *   - items          : response property holding the array (arrays are used as-is)
+   *   - walk           : no paging; `recursive` iteration descends into sub-directories
+   */
+  static pagination = {
+
+    assets_list : { offset : 'start', limit : 'count', pageSize : 100 },
+    files_list : { items : 'entries', walk : true },
+    sites_quicksearch : { offset : 'start', limit : 'count', pageSize : 100 },
+    users_list : { offset : 'start', limit : 'count', pageSize : 100 },
+
+  };
+
+  // Param/header names whose values are never logged.
+  static secretKeys = /token|password|passwd|secret|authorization|api[-_]?key|cookie|session/i;
 
 /**
  * CmsApi
- * Thin wrapper around the OU Campus CMS API using jQuery.ajax.
+ * Thin wrapper around the OU Campus CMS API.
+ *
+ * Context (apihost, account, site, skin, token, ...) comes from the constructor options
+ * and defaults to the global `gadget` object, so one page can hold instances for
+ * different sites or accounts:
+ *
+ *   new CmsApi({ apihost, account, site, token : () => myToken, refreshToken : async () => ... })
+ *
+ * Requests go through a pluggable transport (see CmsFetchTransport / CmsJqueryTransport)
+ * and a concurrency-limited queue (see CmsRequestQueue). GET responses can be
+ * cached with `new CmsApi({ cache : true })` (see CmsResponseCache), and identical
+ * concurrent GETs share one request unless `dedupe : false` is set.
  *
- * Assumes a global `gadget` object is available (token, apihost, account, site, etc).
- * Also assumes jQuery `$` is available.
+ * Failures reject with a CmsApiError. Diagnostics go through a pluggable logger
+ * (`new CmsApi({ logger, logLevel })`); tokens and other secrets are always redacted.
+ *
+ * Events (EventTarget, `event.detail`):
+ *   - queue           : queue stats, whenever a request is queued, started or finished
+ *   - plan            : the recorded operation, whenever a dry run skips a mutating call
+ *   - upload          : { endpoint, path, loaded, total } while a binary upload is sent
+ *   - request         : { method, endpoint, duration, attempts, bytes, ok, code, cached } per finished call
+ *   - session-expired : { endpoint, method } when the CMS answers SESSION_NOT_FOUND
+ *   - batch           : { label, done, total, succeeded, failed, skipped, result } after each batch() item
+ *
+ * On SESSION_NOT_FOUND, CmsApi gets a fresh token and replays the request: through
+ * `refreshToken` when given, otherwise (gadget token only) by triggering `session-expired`
+ * on `gadget` and asking gadget.getEnvironment(). If that fails, `onSessionLost` decides.
  */
 
-  constructor() {
+  constructor(options = {}) {
+
+    super();
+
+    // Context defaults: the host environment, when running inside a gadget.
+    let env = (typeof gadget !== 'undefined') ? gadget : {};
 
     // Identify the gadget instance (name or gid) and CMS context.
-    this.name = gadget.name || gadget.gid || '';
-    this.site = gadget.site || '';
+    this.name = options.name ?? (env.name || env.gid || '');
+    this.site = options.site ?? (env.site || '');
 
     // Base API host (defaults to OU's CMS host).
-    this.apihost = gadget.apihost || 'https://a.cms.omniupdate.com';
+    this.apihost = (options.apihost || env.apihost || 'https://a.cms.omniupdate.com').replace(/\/$/, '');
 
     // OU Campus account + skin are used to build the base admin URL.
-    this.account = gadget.account || 'missouristate';
-    this.skin = gadget.skin || 'oucampus';
+    this.account = options.account || env.account || 'missouristate';
+    this.skin = options.skin || env.skin || 'oucampus';
 
     // Hostbase appears to be a UI base route (OU Campus "11" interface deep link).
-    this.hostbase = gadget.hostbase || `/11/#${this.skin}/${this.account}/${this.site}`;
+    this.hostbase = options.hostbase || env.hostbase || `/11/#${this.skin}/${this.account}/${this.site}`;
 
     // Helpful for logging / diagnostics.
-    this.user = gadget.user || 'unknown user';
+    this.user = options.user || env.user || 'unknown user';
+
+    // Auth token: a string or a function returning the current one (read before every
+    // attempt). Without it, gadget.token is used and refreshed through the host.
+    this.token = options.token ?? null;
+
+    // async (staleToken, error) => fresh token (or null); see recoverSession().
+    this.refreshToken = options.refreshToken || null;
+
+    // Transport that performs the HTTP requests: 'fetch' (default), 'jquery' or a custom object.
+    this.transport = CmsApi.createTransport(options.transport);
+
+    // Retry policy: defaults overlaid with caller options (endpoint overrides are merged, not replaced).
+    let retry = options.retry || {};
+
+    this.retryPolicy = {
+
+      ...CmsApi.defaultRetryPolicy,
+      ...retry,
+      endpoints : { ...CmsApi.defaultRetryPolicy.endpoints, ...retry.endpoints },
+
+    };
+
+    // Every attempt waits for a slot; interactive calls jump ahead of bulk jobs.
+    this.queue = new CmsRequestQueue(options.concurrency ?? 6, stats => this.emit('queue', stats));
+
+    // Opt-in GET cache: true for the default TTLs or { ttl, endpoints } to customize.
+    this.cache = (options.cache) ? new CmsResponseCache(options.cache === true ? {} : options.cache) : null;
+
+    // In-flight GETs keyed by endpoint + params, so identical concurrent calls share one request.
+    this.dedupe = options.dedupe ?? true;
+    this.inflight = new Map();
+
+    // Any object with debug/info/warn/error(message, details) methods (`console` works too).
+    this.logger = options.logger || new CmsConsoleLogger();
+    this.logLevel = options.logLevel || 'warn';
+
+    if (!options.account && !env.account) this.log('warn', `No CMS account given; using "${this.account}".`);
+
+    // Called when the token cannot be refreshed; resolve true to replay the request, false to fail it.
+    this.onSessionLost = options.onSessionLost || null;
+
+    // Shared by every request that hits a session loss while a refresh is running.
+    this.sessionRecovery = null;
+
+    // Middleware registered through use().
+    this.interceptors = [];
+
+    // Reject unknown endpoint params instead of only logging a warning.
+    this.strictParams = options.strictParams ?? false;
+
+    // Permission preflight: calls below an endpoint's minLevel fail before sending.
+    // The level is learned from users_view on first use (or preset with `userLevel`).
+    this.permissions = options.permissions ?? true;
+    this.userLevel = options.userLevel ?? null;
+    this.userLevelRequest = null;
+
+    // Per-endpoint request statistics (see stats()); `metrics : false` turns them off.
+    this.metrics = (options.metrics === false) ? null : new CmsMetrics(options.metrics || {});
+
+    // Dry run: mutating calls are recorded in `plan` instead of being sent (reads still go out).
+    this.dryRun = options.dryRun ?? false;
+    this.plan = [];
 
   }
 
 
-  get(endpoint, data, retries = 3) {
+  getToken() {
 
   /**
-   * Convenience GET wrapper.
-   * @param {string} endpoint - API path (e.g. "/api/...").
-   * @param {object} data - Query params.
-   * @param {number} retries - Optional retry limit override.
+   * The token for the next request: the `token` option (called when it is a
+   * function), otherwise gadget.token.
+   *
+   * @returns {string|null}
    */
 
-    let config = { method : 'GET', endpoint, data, retries };
+    if (typeof this.token === 'function') return this.token();
 
-    return this.call(config);
+    if (this.token !== null) return this.token;
+
+    return (typeof gadget !== 'undefined') ? gadget.token : null;
 
   }
 
+  static createTransport(transport = 'fetch') {
+
+  /**
+   * Resolves the `transport` constructor option into a transport object.
+   *
+   * A transport is any object with a `send(request)` method:
+   *   - request  : { method, url, data, headers, signal, onProgress }
+   *                (onProgress is only set for binary uploads; call it with { loaded, total })
+   *   - resolves : { ok, status, statusText, data, headers, raw, bytes } for every HTTP response
+   *                (bytes, the response size, is optional; content-length is used without it)
+   *   - rejects  : only when no response was received (network failure, CORS, ...)
+   *
+   * @param {'fetch'|'jquery'|object} transport
+   * @returns {object}
+   */
+
+    if (transport === 'fetch') return new CmsFetchTransport();
+
+    if (transport === 'jquery') return new CmsJqueryTransport();
+
+    if (transport && typeof transport.send === 'function') return transport;
+
+    throw new TypeError(`Unknown CmsApi transport: ${transport}`);
 
-  post(endpoint, data, retries = 3) {
+  }
+
+  emit(type, detail) {
 
   /**
-   * Convenience POST wrapper.
-   * @param {string} endpoint - API path (e.g. "/api/...").
-   * @param {object} data - Body/query params (jQuery will form-encode).
-   * @param {number} retries - Optional retry limit override.
+   * Dispatches a CustomEvent on this instance.
+   * Listen with api.addEventListener(type, e => e.detail).
    */
 
-    let config = { method : 'POST', endpoint, data, retries };
+    this.dispatchEvent(new CustomEvent(type, { detail }));
 
-    return this.call(config);
+  }
+
+  log(level, message, details = {}) {
+
+  /**
+   * Sends a message to the logger if `level` passes `this.logLevel`.
+   * Message and details are always redacted first (see CmsApi.redact()).
+   *
+   * @param {'debug'|'info'|'warn'|'error'} level
+   * @param {string} message
+   * @param {object} [details]
+   */
+
+    let levels = CmsApi.logLevels;
+
+    if (levels.indexOf(level) < levels.indexOf(this.logLevel)) return;
+
+    let method = this.logger[level];
+
+    let secrets = [this.getToken()];
+
+    if (typeof method === 'function') method.call(this.logger, CmsApi.redact(message, secrets), CmsApi.redact(details, secrets));
 
   }
 
-  call(config) {
+  static redact(value, secrets = [], maxDepth = 5) {
 
   /**
-   * Core request handler with retry + exponential backoff.
-   * @param {object} config
-   * @param {'GET'|'POST'} config.method
-   * @param {string} config.endpoint
-   * @param {object} [config.data]
-   * @param {number} [config.retries] - max retry attempts (default 3)
-   * @param {number} [config.delay] - base delay for backoff (default 1000ms)
-   * @returns {Promise<any>}
+   * Returns a copy of `value` that is safe to log:
+   * - values of keys matching CmsApi.secretKeys become '[REDACTED]'
+   * - known secret strings (e.g. the current token) are masked inside any string
+   * - non-plain objects (responses, signals, ...) are replaced by their type name
+   *
+   * @param {any} value
+   * @param {Array<string>} [secrets]
+   * @param {number} [maxDepth] - deeper values become '[…]' (Infinity keeps everything)
+   * @returns {any}
    */
 
-    // If caller didn't set retries, default to 3.
-    let retries = config.retries ?? 3;
+    secrets = secrets.filter(secret => typeof secret === 'string' && secret.length > 0);
+
+    const visit = (item, depth) => {
+
+      if (typeof item === 'string') {
+
+        for (let secret of secrets) item = item.split(secret).join('[REDACTED]');
+
+        // Tokens embedded in query strings.
+        return item.replace(/(authorization_token=)[^&\s]+/gi, '$1[REDACTED]');
 
-    // Base delay for exponential backoff.
-    let delay = config.delay ?? 1000;
+      }
+
+      if (item === null || typeof item !== 'object') return item;
 
-    config.data = config.data || {};
+      if (depth > maxDepth) return '[…]';
 
-    // OU Campus commonly accepts the auth token in both header and params.
-    config.data.authorization_token = gadget.token;
+      if (Array.isArray(item)) return item.map(entry => visit(entry, depth + 1));
 
-    const backoff = (attempt) => {
+      if (item instanceof Error) return { name : item.name, message : visit(item.message, depth + 1) };
 
-    /**
-     * Exponential backoff with jitter:
-     * attempt 0 => ~delay
-     * attempt 1 => ~2*delay
-     * attempt 2 => ~4*delay
-     * capped at 15s
-     */
+      let proto = Object.getPrototypeOf(item);
 
-      const base = delay * Math.pow(2, attempt);
+      if (proto !== Object.prototype && proto !== null) return `[${item.constructor?.name || 'object'}]`;
 
-      const jitter = Math.floor(Math.random() * 250); 
+      let copy = {};
 
-      return Math.min(base + jitter, 15_000);
+      for (let [key, entry] of Object.entries(item)) copy[key] = (CmsApi.secretKeys.test(key)) ? '[REDACTED]' : visit(entry, depth + 1);
+
+      return copy;
 
     };
 
-    // Error codes safe to retry.
-    // NOTE: Only retries on "TIMEOUT" currently.
-    let retryCodes = ['TIMEOUT'];
+    return visit(value, 0);
 
-    return new Promise((resolve, reject) => {
+  }
 
-      function ring(count) {
+  recoverSession(staleToken, error) {
 
-      /**
-       * Attempts the request. If retriable failure and under max attempts,
-       * it schedules another attempt with backoff delay.
-       *
-       * @param {number} count - attempt number starting at 0
-       */
+  /**
+   * Tries to get a working token after SESSION_NOT_FOUND. Concurrent callers
+   * share one attempt:
+   *   1) emit `session-expired` (and trigger it on gadget when using its token)
+   *   2) get a fresh token from `this.refreshToken(staleToken, error)`, or
+   *      (gadget token only) from the host environment (gadget.getEnvironment())
+   *   3) otherwise ask `this.onSessionLost({ api, error })`
+   *
+   * A string `token` option is replaced by the refreshed token; a token function
+   * is expected to return it from then on.
+   *
+   * @param {string} staleToken - token the failed request was sent with
+   * @param {CmsApiError} error
+   * @returns {Promise<boolean>} true when the request should be replayed
+   */
 
-        $.ajax({
+    // Another request already refreshed the token; just replay.
+    let current = this.getToken();
 
-          type : config.method,
-          url : `${gadget.apihost}${config.endpoint}`,
+    if (current && current !== staleToken) return Promise.resolve(true);
 
-          // $.param(config.data, true) uses "traditional" param serialization when true.
-          // This is important when sending arrays / nested objects.
-          data : $.param(config.data, true),
+    if (this.sessionRecovery) return this.sessionRecovery;
 
-          // Token also sent as a header; typical OU Campus pattern.
-          headers : { 'X-Auth-Token' : gadget.token },
+    let hosted = this.token === null && typeof gadget !== 'undefined';
 
-        })
+    this.sessionRecovery = (async () => {
 
-          // On success, resolve the promise with the AJAX response.
-          .done(resolve)
+      let detail = { endpoint : error.endpoint, method : error.method };
 
-          // On failure, inspect response and decide whether to retry.
-          .fail((jqXHR, status, error) => {
+      this.emit('session-expired', detail);
 
-            let response = jqXHR.responseJSON;
+      if (hosted && typeof $ === 'function') $(gadget).trigger('session-expired', detail);
 
-            let retriable = false;
+      try {
 
-            // Styled logging to make these errors easy to spot in devtools.
-            let style = 'color: firebrick; font-weight: bold;';
+        if (this.refreshToken) {
 
-            console.log('%c====== CMS API ERROR ======', style);
-            console.log('%c    Method : ', style, config.method);
-            console.log('%c  Endpoint : ', style, config.endpoint);
-            console.log('%cParameters : ', style, config.data);
+          let token = await this.refreshToken(staleToken, error);
 
-            if (!response) console.log('%cNo response JSON provided by the error.', style);
+          if (token && token !== staleToken) {
 
-            else {
+            if (typeof this.token !== 'function') this.token = token;
 
-              console.log('%c      Code : ', style, response.code);
-              console.log('%c   Message : ', style, response.error);
+            this.log('info', 'Session token refreshed.');
 
-              // Decide whether this error is retriable based on code tokens.
-              retriable = retryCodes.some(token => typeof response.code === 'string' && response.code.includes(token));
+            return true;
 
+          }
 
-              // Special-case: session invalid or missing.
-              // Replace page content with a simple recovery instruction.
-              if (response.code === 'SESSION_NOT_FOUND') {
+        }
 
-                document.body.innerHTML = '<h3>Failed to connect</h3><p>Reload the page.</p>';
+        else if (hosted) {
 
-              }
+          let env = await gadget.getEnvironment();
 
-            }
+          if (env && env.token && env.token !== staleToken) {
 
-            // Retry if allowed and under retry count; otherwise reject.
-            if (retriable && count < retries) setTimeout(() => ring(count + 1), backoff(count));
+            gadget.set(env);
 
-            else reject({ jqXHR, status, error });
+            this.log('info', 'Session token refreshed from the host environment.');
 
-          });
+            return true;
+
+          }
+
+        }
 
       }
 
-      ring(0); // Start the first attempt immediately.
+      catch (e) {
 
-    });
+        this.log('warn', 'Could not refresh the session token.', { error : e });
 
-  }
+      }
 
-  // ========== ENDPOINTS ==========
+      if (typeof this.onSessionLost !== 'function') return false;
 
-  // ========== [/assets] ==========
+      return !!(await this.onSessionLost({ api : this, error }));
 
-  /**
-   * Calls the [/assets/list] endpoint
-   *
-   * List a page of assets. (All user levels)
-   */
-  assets_list(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/assets/list', config);
-  }
+    })()
 
-  /**
-   * Calls the [/assets/view] endpoint
-   *
-   * View an asset. (All user levels)
-   */
-  assets_view(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/assets/view', config);
-  }
+      .catch(() => false)
 
-  // ========== [/components] ==========
+      .finally(() => this.sessionRecovery = null);
 
-  /**
-   * Calls the [/rs/components/dependents/{type}/{name}] endpoint
-   *
-   * Get dependent pages for a given component.
-   */
-  components_dependents(config = {}) {
-    if (!config.type) config.type = 'generic';
-    return this.get(`/rs/components/dependents/${config.type}/${config.name}`, config);
-  }
+    return this.sessionRecovery;
 
-  /**
-   * Calls the [/rs/components/{type}/{name}] endpoint
-   *
-   * Get a component.
-   */
-  components_get(config = {}) {
-    if (!config.type) config.type = 'generic';
-    return this.get(`/rs/components/${config.type}/${config.name}`, config);
   }
 
+  clearCache() {
+
   /**
-   * Calls the [/rs/components] endpoint
-   *
-   * Get components.
+   * Drops every cached response (no-op when caching is off).
    */
-  components_list(config = {}) {
-    if (!config.type) config.type = 'generic';
-    if (config.disabled === undefined) config.disabled = false;
-    return this.get('/rs/components', config);
-  }
 
-  // ========== [/directories] ==========
+    if (this.cache) this.cache.clear();
 
-  /**
-   * Calls the [/directories/settings] endpoint
-   *
-   * GET : Get directory settings. (All user levels)
-   *
-   * POST : Save directory settings. (Level 4+ with permission to write to the directory)
-   */
-  directories_settings(config = {}, method = 'GET') {
-    if (!config.site) config.site = this.site;
-    if (method === 'POST') return this.post('/directories/settings', config);
-    return this.get('/directories/settings', config);
   }
 
-  // ========== /files ==========
+  queueStats() {
 
   /**
-   * Calls the [/files/backup] endpoint
-   *
-   * Backup a file to the versioning system. (Level 9+ or have group access)
+   * Snapshot of the request queue (see CmsRequestQueue.stats()).
    */
-  files_backup(config = {}) {
-    if (!config.site) config.site = this.site;
-    if (!config.message) config.message = 'Backup via CMS API';
-    return this.post('/files/backup', config);
-  }
 
-  /**
-   * Calls the [/files/brokenpages] endpoint
-   *
-   * Get broken pages. (All user levels)
-   */
-  files_brokenpages(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/brokenpages', config);
-  }
+    return this.queue.stats();
 
-  /**
-   * Calls the [/files/checkedout] endpoint
-   *
-   * Get checked out pages. (All user levels)
-   */
-  files_checkedout(config = {}) {
-    if (config.all === undefined) config.all = true;
-    if (!config.site) config.site = this.site;
-    return this.get('/files/checkedout', config);
   }
 
-  /**
-   * Calls the [/files/checkin] endpoint
-   *
-   * Checkin a file. (Level 9+ or have group access)
-   */
-  files_checkin(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/checkin', config);
-  }
+  stats() {
 
   /**
-   * Calls the [/files/checkout] endpoint
+   * Request statistics since creation or the last resetStats(): counts, latency
+   * percentiles, retries, error codes and bytes received, per "METHOD /endpoint"
+   * and in total (see CmsMetrics.stats()), plus the queue snapshot.
    *
-   * Checkout a file. (Level 9+ or have group access)
+   * @returns {object} { since, totals, endpoints, queue } (null parts when metrics are off)
    */
-  files_checkout(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/checkout', config);
-  }
 
-  /**
-   * Calls the [/files/content] endpoint.
-   *
-   * Get file content. (Level 9+ or 1+ with source permissions and group access)
-   */
-  files_content(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/content', config);
-  }
+    let stats = (this.metrics) ? this.metrics.stats() : { since : null, totals : null, endpoints : {} };
 
-  /**
-   * Calls the [/files/copy] endpoint.
-   *
-   * Copy a file to a new destination. (Level 9+ or level 8+ with group access to the source and destination.)
-   */
-  files_copy(config = {}, retries = 0) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/copy', config, retries);
-  }
+    return { ...stats, queue : this.queue.stats() };
 
-  /**
-   * Calls the [/files/delete] endpoint.
-   *
-   * Delete one or more files. (Level 8+ with group access or 1+ with delete permissions and group access)
-   */
-  files_delete(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/delete', config);
   }
 
-  /**
-   * Calls the [/files/dependencies] endpoint.
-   *
-   * Get dependencies. (All user levels)
-   */
-  files_dependencies(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/dependencies', config);
-  }
+  resetStats() {
 
-  /**
-   * Calls the [/files/dependency] endpoint.
-   *
-   * Get dependency manager tag info. (All user levels)
-   */
-  files_dependency(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/dependency', config);
-  }
+    if (this.metrics) this.metrics.reset();
 
-  /**
-   * Calls the [/files/dependents] endpoint.
-   *
-   * Returns a list of pages on staging that are dependent on the specified files. (All user levels)
-   */
-  files_dependents(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/dependents', config);
   }
 
-  /**
-   * Calls the [/files/dirtypages] endpoint.
-   *
-   * Get dirty pages. (Level 9+ or have group access)
-   */
-  files_dirtypages(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/dirtypages', config);
-  }
+  measure(call) {
 
   /**
-   * Calls the [/files/dm_revert] endpoint.
+   * Records a finished call in the metrics (when on) and emits it as a `request` event.
    *
-   * This action will remove all Dependency Manager tags from all staging files in the site directory specified, replacing them with URL type links. (All user levels)
+   * @param {object} call - see CmsMetrics.record()
    */
-  files_dm_revert(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/dm_revert', config);
-  }
 
-  /**
-   * Calls the [/files/info] endpoint
-   *
-   * Returns file information for a specified file path. (Level 9+ or 5+ with group access)
-   *
-   * @param {Object} data Parameters for the API call.
-   * @returns {*} Response from the CMS API.
-   */
-  files_info(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/info', config);
-  }
+    if (this.metrics) this.metrics.record(call);
+
+    this.emit('request', call);
 
-  /**
-   * Calls the [/files/list] endpoint.
-   *
-   * Returns a list of files for a specified directory or .pcf path. (All user
-   * levels)
-   */
-  files_list(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/list', config);
   }
 
 
-  /**
-   * Calls the [/files/locked] endpoint
-   *
-   * Returns a list of files that the current user has locked. (All user levels)
-   */
-  files_locked(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/locked', config);
-  }
+  get(endpoint, data, retries) {
 
   /**
-   * Calls the [/files/log] endpoint.
-   *
-   * Get file log info for a specified file. (All user levels)
+   * Convenience GET wrapper.
+   * @param {string} endpoint - API path (e.g. "/api/...").
+   * @param {object} data - Query params.
+   * @param {number} [retries] - Optional retry limit override (defaults to the retry policy).
    */
-  files_log(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/log', config);
+
+    let config = { method : 'GET', endpoint, data, retries };
+
+    return this.call(config);
+
   }
 
+
+  post(endpoint, data, retries) {
+
   /**
-   * Calls the [/files/move] endpoint.
-   *
-   * Move a file. (Level 9+ or level 8+ with group access to the source and destination.)
+   * Convenience POST wrapper.
+   * @param {string} endpoint - API path (e.g. "/api/...").
+   * @param {object} data - Body params (form-encoded by the transport).
+   * @param {number} [retries] - Optional retry limit override (defaults to the retry policy).
    */
-  files_move(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/move', config);
+
+    let config = { method : 'POST', endpoint, data, retries };
+
+    return this.call(config);
+
   }
 
+  call(config) {
+
   /**
-   * Calls the [/files/multipublish] endpoint.
+   * Core request handler with retry + exponential backoff (see retryPolicyFor()).
+   * @param {object} config
+   * @param {'GET'|'POST'} config.method
+   * @param {string} config.endpoint
+   * @param {string} [config.route] - registry path template the endpoint was filled from (metrics key)
+   * @param {object} [config.data]
+   * @param {number} [config.retries] - max retry attempts (shortcut for retry.retries)
+   * @param {number} [config.delay] - base delay for backoff (shortcut for retry.delay)
+   * @param {object} [config.retry] - per-call retry policy overrides
+   * @param {AbortSignal} [config.signal] - cancels the request and any pending retry
+   * @param {'interactive'|'normal'|'bulk'} [config.priority] - queue lane (default 'normal')
+   * @param {boolean} [config.cache] - false skips the response cache for this call
+   * @param {boolean} [config.dedupe] - false always sends a new request
+   * @param {object} [config.headers] - extra request headers
+   * @param {Function} [config.onProgress] - upload progress for binary payloads (see send())
    *
-   * Publish all files in a directory or multiple individual files. (Level 9+ or publish target group access)
+   * Request options (signal, priority, cache, dedupe, onProgress, retry) may also be passed inside `data`.
+   *
+   * Deduplicated callers receive the same promise (and the same response object),
+   * so treat shared results as read-only. Calls only share a request when they
+   * pass the same AbortSignal (or none).
+   *
+   * @returns {Promise<any>} rejects with CmsApiError (CmsAbortError when aborted)
    */
-  files_multipublish(config = {}) {
-    if (!config.site) config.site = this.site;
-    if (!config.target) config.target = config.site;
 
-    let callConfig = {
+    // Work on copies: the caller's params object is left untouched (no stripped options, no token).
+    config = { ...config, data : { ...config.data } };
 
-      method : 'POST',
-      endpoint : '/files/multipublish',
-      data : config,
+    // Endpoint helpers receive request options inside their params; never send them to the CMS.
+    for (let key of CmsApi.requestOptions) {
+
+      if (config[key] === undefined) config[key] = config.data[key];
+
+      delete config.data[key];
 
     }
 
-    return this.call(callConfig);
+    // Without interceptors, hand back send()'s promise as-is (deduplicated callers share it).
+    if (this.interceptors.length === 0) return this.send(config);
 
-  }
+    return this.intercept(config);
 
-  /**
-   * Calls the [/files/new_folder] endpoint.
-   *
-   * Creates a new directory (folder)
-   * Returns an error if folder with name exists
-   */
-  files_new_folder(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/new_folder', config);
   }
 
-  /**
-   * Calls the [/files/products] endpoint.
-   *
-   * Get page products. (All user levels)
-   */
-  files_products(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/products', config);
-  }
+  use(before, after, onError) {
 
   /**
-   * Calls the [/files/properties] endpoint
+   * Registers an interceptor (middleware) for every call, including raw get/post.
    *
-   * GET : Get page properties. (Level 9+ or level 5+ with group access)
+   * - before(config) runs before the request; return a new config or mutate it
+   *   (config.data, config.headers, config.endpoint, ...).
+   * - after(data, config) runs on success; return a value to replace the response.
+   * - onError(error, config) runs on failure; return a value to resolve with it
+   *   instead, throw to replace the error, or return undefined to pass it on.
    *
-   * POST : Save page properties. (Level 9+ or level 5+ with group access)
-   */
-  files_properties(config = {}, method = 'GET') {
-    if (!config.site) config.site = this.site;
-    if (method === 'POST') return this.post('/files/properties', config);
-    return this.get('/files/properties', config);
-  }
-
-  /**
-   * Calls the [/files/publish] endpoint.
+   * `before` hooks run in registration order, `after`/`onError` in reverse.
+   * Hooks may be async. Every argument is optional.
    *
-   * Publish a file. (Level 9+ or group access)
+   * @param {Function} [before]
+   * @param {Function} [after]
+   * @param {Function} [onError]
+   * @returns {Function} removes the interceptor
    */
-  files_publish(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/publish', config);
-  }
 
-  /**
-   * Calls the [/files/recycle] endpoint.
-   *
-   * Send files to the recycle bin. (Level 9+ or 1+ with delete permissions and group access)
-   */
-  files_recycle(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/recycle', config);
-  }
+    let interceptor = { before, after, onError };
 
-  /**
-   * Calls the [/files/rename] endpoint.
-   *
-   * Rename a file. (Level 9+ or 8 with group access)
-   */
-  files_rename(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/rename', config);
-  }
+    this.interceptors.push(interceptor);
 
-  /**
-   * Calls the [/files/save] endpoint.
-   *
-   * Save files. (Level 9+ or 1+ with group access)
-   */
-  files_save(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/save', config);
-  }
+    return () => {
 
-  /**
-   * Calls the [/files/scan] endpoint.
-   *
-   * Synchronizes the current staging files of a directory with the database. 
-   */
-  files_scan(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/files/scan', config);
-  }
+      let index = this.interceptors.indexOf(interceptor);
+
+      if (index !== -1) this.interceptors.splice(index, 1);
+
+    };
 
-  /**
-   * Calls the [/files/settings] endpoint
-   *
-   * GET : Get page access settings. (All user levels)
-   *
-   * POST : Save page access settings. (Level 9+ or 1+ with group access)
-   */
-  files_settings(config = {}, method = 'GET') {
-    if (!config.site) config.site = this.site;
-    if (method === 'POST') return this.post('/files/settings', config);
-    return this.get('/files/settings', config);
   }
 
+  async intercept(config) {
+
   /**
-   * Calls the [/files/source] endpoint.
-   *
-   * Get file source code. (Level 9+ or 1+ with source permissions and group access)
+   * Runs `config` through the interceptor chain around send().
    */
-  files_source(config = {}) {
-    if (!config.site) config.site = this.site;
-    if (config.brokentags === undefined) config.brokentags = true;
-    return this.get('/files/source', config);
-  }
+
+    // Snapshot: interceptors added/removed mid-call don't affect this call.
+    let interceptors = [...this.interceptors];
+
+    let reversed = [...interceptors].reverse();
+
+    try {
+
+      for (let { before } of interceptors) {
+
+        if (typeof before !== 'function') continue;
+
+        let result = await before(config);
+
+        // Only a returned object replaces the config (ignores accidental return values).
+        if (result && typeof result === 'object') config = result;
+
+      }
+
+      let data = await this.send(config);
+
+      for (let { after } of reversed) if (typeof after === 'function') data = (await after(data, config)) ?? data;
+
+      return data;
+
+    }
+
+    catch (error) {
+
+      for (let { onError } of reversed) {
+
+        if (typeof onError !== 'function') continue;
+
+        let result = await onError(error, config);
+
+        if (result !== undefined) return result;
+
+      }
+
+      throw error;
+
+    }
+
+  }
+
+  send(config) {
+
+  /**
+   * Sends a normalized call() config: cache, dedupe, queue, retries and
+   * session recovery. Use call() (or get/post) instead; it also runs interceptors.
+   *
+   * Params holding binary values (see CmsApi.isBinary()) are sent as multipart form
+   * data. Their upload progress is reported to `config.onProgress` and as `upload`
+   * events, both with { endpoint, path, loaded, total }.
+   *
+   * @param {object} config - see call()
+   * @returns {Promise<any>}
+   */
+
+    let mutating = CmsApi.isMutating(config.method, config.endpoint, config.data);
+
+    if (this.dryRun && mutating) return Promise.resolve(this.record(config));
+
+    let policy = this.retryPolicyFor(config);
+
+    // Reference point for policy.maxElapsed.
+    let started = Date.now();
+
+    let signal = config.signal;
+
+    let cacheable = !!this.cache && config.method === 'GET' && !mutating && config.cache !== false;
+
+    if (cacheable) {
+
+      let cached = this.cache.get(config.endpoint, config.data);
+
+      if (cached !== undefined) {
+
+        this.measure({ method : config.method, endpoint : config.endpoint, route : config.route, duration : 0, attempts : 0, bytes : 0, ok : true, code : null, cached : true });
+
+        return Promise.resolve(cached);
+
+      }
+
+    }
+
+    let key = (this.dedupe && config.method === 'GET' && config.dedupe !== false) ? CmsResponseCache.key(config.endpoint, config.data) : null;
+
+    if (key) {
+
+      let pending = this.inflight.get(key);
+
+      if (pending && pending.signal === signal) return pending.promise;
+
+    }
+
+    let promise = new Promise((resolve, reject) => {
+
+      // Id of the pending backoff timer, so an abort can cancel the retry.
+      let timerId = null;
+
+      // Token of the latest attempt, and whether a session recovery was already tried.
+      let token = null;
+      let recovered = false;
+
+      // For the metrics: attempts made and response bytes received over all of them.
+      let attempts = 0;
+      let bytes = 0;
+
+      const measure = (ok, code = null) => this.measure({
+
+        method : config.method,
+        endpoint : config.endpoint,
+        route : config.route,
+        duration : Date.now() - started,
+        attempts,
+        bytes,
+        ok,
+        code,
+        cached : false,
+
+      });
+
+      const abort = () => {
+
+        clearTimeout(timerId);
+
+        this.log('debug', `Aborted ${config.method} ${config.endpoint}`);
+
+        measure(false, 'ABORTED');
+
+        reject(new CmsAbortError(config));
+
+      };
+
+      if (signal) {
+
+        if (signal.aborted) return abort();
+
+        signal.addEventListener('abort', abort, { once : true });
+
+      }
+
+      // Upload progress of multipart requests (every attempt starts again from 0).
+      const progress = ({ loaded, total }) => {
+
+        let detail = { endpoint : config.endpoint, path : config.data.path, loaded, total };
+
+        this.emit('upload', detail);
+
+        if (typeof config.onProgress === 'function') config.onProgress(detail);
+
+      };
+
+      // Settles the promise and detaches the abort listener.
+      const settle = (callback, value) => {
+
+        if (signal) signal.removeEventListener('abort', abort);
+
+        callback(value);
+
+      };
+
+      const ring = (count) => {
+
+      /**
+       * Attempts the request. If retriable failure and under max attempts,
+       * it schedules another attempt with backoff delay.
+       *
+       * @param {number} count - attempt number starting at 0
+       */
+
+        attempts++;
+
+        // Read the token per attempt; it may have been refreshed after a session loss.
+        token = this.getToken();
+
+        // OU Campus commonly accepts the auth token in both header and params.
+        config.data.authorization_token = token;
+
+        this.log('debug', `${config.method} ${config.endpoint}`, { attempt : count + 1, params : config.data });
+
+        let request = {
+
+          method : config.method,
+          url : `${this.apihost}${config.endpoint}`,
+          data : config.data,
+
+          // Token also sent as a header; typical OU Campus pattern.
+          headers : { ...config.headers, 'X-Auth-Token' : token },
+
+          signal,
+
+        };
+
+        if (CmsApi.hasBinary(config.data)) request.onProgress = progress;
+
+        this.queue.schedule(() => this.transport.send(request), config.priority, signal)
+
+          .then(
+
+            // On success, resolve the promise with the parsed response body.
+            response => {
+
+              // The abort listener has already rejected; ignore late responses.
+              if (signal && signal.aborted) return;
+
+              bytes += response.bytes ?? (Number(response.headers?.['content-length']) || 0);
+
+              if (!response.ok) return fail(response, count);
+
+              if (cacheable) this.cache.set(config.endpoint, config.data, response.data);
+
+              // A successful write (or `mutates` GET) makes cached reads of the same site/path stale.
+              else if (this.cache && mutating) this.cache.invalidate(config.endpoint, config.data);
+
+              measure(true);
+
+              settle(resolve, response.data);
+
+            },
+
+            // No response at all (network failure or abort); treat it like an empty error response.
+            error => {
+
+              if (signal && signal.aborted) return;
+
+              fail({ ok : false, status : 0, statusText : error.message, data : null, headers : {}, raw : error }, count);
+
+            },
+
+          );
+
+      };
+
+      const fail = (response, count) => {
+
+      /**
+       * Inspects a failed response and decides whether to retry.
+       *
+       * @param {object} response - transport response
+       * @param {number} count - attempt number starting at 0
+       */
+
+        let data = response.data;
+
+        // Only JSON bodies carry the CMS `code` / `error` fields.
+        let body = (data && typeof data === 'object') ? data : null;
+
+        let retriable = this.isRetriable(policy, response);
+
+        let error = new CmsApiError({
+
+          method : config.method,
+          endpoint : config.endpoint,
+          status : response.status,
+          code : body && body.code,
+          error : (body && body.error) || response.statusText,
+          attempts : count + 1,
+          retriable,
+          response,
+
+        });
+
+        // Session invalid or missing: refresh the token and replay once (not counted as a retry).
+        if (error.code === 'SESSION_NOT_FOUND' && !recovered) {
+
+          recovered = true;
+
+          this.recoverSession(token, error)
+
+            .then(replay => {
+
+              if (signal && signal.aborted) return;
+
+              if (replay) return ring(count);
+
+              this.log('error', error.message, { error : error.toJSON(), params : config.data });
+
+              measure(false, error.code);
+
+              settle(reject, error);
+
+            });
+
+          return;
+
+        }
+
+        let wait = this.retryDelay(policy, count, response);
+
+        // Retry if allowed, under retry count and inside the time budget; otherwise reject.
+        if (retriable && count < policy.retries && (Date.now() - started + wait) <= policy.maxElapsed) {
+
+          this.log('warn', `${error.message} (retrying in ${wait}ms)`, { error : error.toJSON(), params : config.data });
+
+          timerId = setTimeout(() => ring(count + 1), wait);
+
+        }
+
+        else {
+
+          this.log('error', error.message, { error : error.toJSON(), params : config.data });
+
+          measure(false, error.code || (error.status ? `HTTP_${error.status}` : 'NETWORK'));
+
+          settle(reject, error);
+
+        }
+
+      };
+
+      ring(0); // Start the first attempt immediately.
+
+    });
+
+    if (key) {
+
+      this.inflight.set(key, { promise, signal });
+
+      const forget = () => {
+
+        if (this.inflight.get(key)?.promise === promise) this.inflight.delete(key);
+
+      };
+
+      promise.then(forget, forget);
+
+    }
+
+    return promise;
+
+  }
+
+  static isBinary(value) {
+
+  /**
+   * Whether a param value is binary content (File, Blob, ArrayBuffer or typed array).
+   */
+
+    return (typeof Blob !== 'undefined' && value instanceof Blob) || value instanceof ArrayBuffer || ArrayBuffer.isView(value);
+
+  }
+
+  static hasBinary(data = {}) {
+
+  /**
+   * Whether any param (or array entry) is binary, i.e. the request must be multipart.
+   */
+
+    return Object.values(data).some(value => [value].flat().some(CmsApi.isBinary));
+
+  }
+
+  static describeBinary(value) {
+
+  /**
+   * A JSON-friendly stand-in for binary values (plans, fixtures): { name, type, size }.
+   * Arrays are described entry by entry; other values pass through.
+   */
+
+    if (Array.isArray(value)) return value.map(CmsApi.describeBinary);
+
+    if (!CmsApi.isBinary(value)) return value;
+
+    return { name : value.name || '', type : value.type || 'application/octet-stream', size : value.size ?? value.byteLength };
+
+  }
+
+  static isMutating(method, endpoint, params = {}) {
 
   /**
-   * Calls the [/files/subscribers] endpoint.
+   * Whether a call can change CMS state: every POST, plus GETs flagged
+   * `mutates` in the endpoint registry (e.g. /sites/scan). A `mutates`
+   * function decides from the params (e.g. a find-only /sites/findreplace).
    *
-   * Returns a list of files that are subscribers to a specified file. (All user levels)
+   * @param {'GET'|'POST'} method
+   * @param {string} endpoint
+   * @param {object} [params]
+   * @returns {boolean}
    */
-  files_subscribers(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/subscribers', config);
+
+    let spec = Object.values(CmsApi.endpoints).find(entry => entry.path === endpoint);
+
+    if (spec && typeof spec.mutates === 'function') return !!spec.mutates(params);
+
+    return method !== 'GET' || !!spec?.mutates;
+
   }
 
+  record(config) {
+
   /**
-   * Calls the [/files/upload] endpoint.
+   * Adds a skipped (dry-run) call to `this.plan` and returns the placeholder
+   * result its caller receives: `{ dryRun : true, operation }`.
    *
-   * Returns a list of files that are subscribers to a specified file. (All user levels)
+   * Params are stored in full, minus the auth token; binary values are described
+   * by name, type and size.
    *
-   * @param {Object} data Parameters for the API call.
-   * @returns {*} Response from the CMS API.
+   * @param {object} config - see call()
+   * @returns {object}
    */
-  files_upload(config = {}) {
-    if (!config.site) config.site = this.site;
-    if (config.overwrite === undefined) config.overwrite = true;
-    return this.post('/files/upload', config);
+
+    let { authorization_token, ...params } = config.data;
+
+    for (let [key, value] of Object.entries(params)) params[key] = CmsApi.describeBinary(value);
+
+    let operation = {
+
+      id : this.plan.length + 1,
+      method : config.method,
+      endpoint : config.endpoint,
+      params : structuredClone(params),
+      time : new Date().toISOString(),
+
+    };
+
+    this.plan.push(operation);
+
+    this.log('info', `Dry run: planned ${operation.method} ${operation.endpoint}`, { params : operation.params });
+
+    this.emit('plan', operation);
+
+    return { dryRun : true, operation };
+
   }
 
+  exportPlan(space = 2) {
+
   /**
-   * Calls the [/files/versions] endpoint
+   * The dry-run plan as JSON, e.g. to review or attach before running for real.
    *
-   * Returns a list of versions for a specified file. (Level 9+ or have group access)
+   * @param {number} [space] - JSON.stringify indentation
+   * @returns {string} { site, user, created, operations : [...] }
    */
-  files_versions(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/versions', config);
+
+    return JSON.stringify({
+
+      site : this.site,
+      user : this.user,
+      created : new Date().toISOString(),
+      operations : this.plan,
+
+    }, null, space);
+
+  }
+
+  clearPlan() {
+
+  /**
+   * Forgets every planned operation.
+   */
+
+    this.plan = [];
+
   }
 
+  iterate(endpoint, config = {}, options = {}) {
+
   /**
-   * Calls the [/files/view] endpoint
+   * Iterates every item of a paged listing endpoint (see CmsApi.pagination).
    *
-   * View a file. (Level 9+ or have group access)
+   *   for await (const entry of api.iterate('files_list', { path : '/', signal }, { recursive : true })) ...
+   *   const users = await api.iterate('users_list').collect(500);
+   *
+   * Pages are fetched lazily; breaking out of the loop stops further requests.
+   *
+   * @param {string} endpoint - endpoint helper name (e.g. 'assets_list')
+   * @param {object} [config] - params passed to every page request
+   * @param {object} [options]
+   * @param {number} [options.pageSize] - overrides the default page size
+   * @param {boolean} [options.recursive] - files_list: include sub-directories
+   * @returns {{[Symbol.asyncIterator]: Function, collect: Function}}
+   */
+
+    return {
+
+      [Symbol.asyncIterator] : () => this.paginate(endpoint, config, options),
+
+      collect : (max = Infinity) => this.collect(endpoint, config, { ...options, max }),
+
+    };
+
+  }
+
+  async *paginate(endpoint, config = {}, options = {}) {
+
+  /**
+   * Async generator behind iterate().
    */
-  files_view(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/view', config);
+
+    let paging = CmsApi.pagination[endpoint];
+
+    if (!paging || typeof this[endpoint] !== 'function') throw new TypeError(`No pagination defined for endpoint: ${endpoint}`);
+
+    // Directory listings are complete per path; walk sub-directories breadth first.
+    if (paging.walk) {
+
+      let paths = [config.path || '/'];
+
+      while (paths.length > 0) {
+
+        let data = await this[endpoint]({ ...config, path : paths.shift() });
+
+        for (let entry of CmsApi.pageItems(data, paging.items)) {
+
+          yield entry;
+
+          if (options.recursive && entry.is_directory) paths.push(entry.staging_path);
+
+        }
+
+      }
+
+      return;
+
+    }
+
+    let size = options.pageSize ?? paging.pageSize;
+
+    let offset = config[paging.offset] ?? 0;
+
+    // First item of the previous page, to notice a CMS that ignores offset/limit.
+    let previous = null;
+
+    while (true) {
+
+      // Endpoint helpers add defaults to their config, so each page gets a fresh copy.
+      let data = await this[endpoint]({ ...config, [paging.offset] : offset, [paging.limit] : size });
+
+      let page = CmsApi.pageItems(data, paging.items);
+
+      // Nothing new: an empty page, or the previous page again (paging params ignored).
+      if (page.length === 0) return;
+
+      let first = JSON.stringify(page[0]);
+
+      if (first === previous) {
+
+        this.log('warn', `${endpoint} ignored ${paging.offset}/${paging.limit}; stopped paging at ${offset} items`);
+
+        return;
+
+      }
+
+      previous = first;
+
+      for (let item of page) yield item;
+
+      // A short page is the last one.
+      if (page.length < size) return;
+
+      offset += page.length;
+
+    }
+
+  }
+
+  async collect(endpoint, config = {}, { max = Infinity, ...options } = {}) {
+
+  /**
+   * Collects iterate() results into an array, stopping after `max` items.
+   *
+   * @param {string} endpoint - endpoint helper name
+   * @param {object} [config] - params
+   * @param {object} [options] - iterate() options plus `max`
+   * @returns {Promise<Array>}
+   */
+
+    let items = [];
+
+    if (max <= 0) return items;
+
+    for await (let item of this.paginate(endpoint, config, options)) {
+
+      items.push(item);
+
+      if (items.length >= max) break;
+
+    }
+
+    return items;
+
+  }
+
+  static pageItems(data, key) {
+
+  /**
+   * Extracts the item array from a listing response: the response itself,
+   * data[key], or else its first array property.
+   */
+
+    if (Array.isArray(data)) return data;
+
+    if (!data || typeof data !== 'object') return [];
+
+    if (key && Array.isArray(data[key])) return data[key];
+
+    return Object.values(data).find(value => Array.isArray(value)) || [];
+
+  }
+
+  async batch(items, operation, { concurrency, stopOnError = false, skip = null, signal, onProgress, label = '' } = {}) {
+
+  /**
+   * Runs `operation` for every item with bounded concurrency and never rejects:
+   * each item gets a result instead.
+   *
+   *   let batch = await api.batch(files, (file, index, { signal }) => unlockFile(file, { priority : 'bulk', signal }), { signal });
+   *   batch.results.filter(result => result.status === 'error');
+   *
+   * @param {Iterable} items
+   * @param {Function} operation - (item, index, { signal }) => Promise
+   * @param {object} [options]
+   * @param {number} [options.concurrency] - items in progress at once (default: the queue's concurrency)
+   * @param {boolean} [options.stopOnError] - after the first error, skip every item not yet started
+   * @param {Function} [options.skip] - (item, index) => reason (string or true) to skip an item up front
+   * @param {AbortSignal} [options.signal] - skips the items not yet started (it is also passed to operation)
+   * @param {Function} [options.onProgress] - called like the `batch` event after every item
+   * @param {string} [options.label] - names the batch in progress events
+   * @returns {Promise<object>} { results, succeeded, failed, skipped, stopped }, where results
+   *   are { item, index, status : 'success'|'error'|'skipped', value, error, reason } in item order
+   */
+
+    items = [...items];
+
+    concurrency = Math.max(1, concurrency ?? this.queue.concurrency);
+
+    let results = new Array(items.length);
+
+    let counts = { succeeded : 0, failed : 0, skipped : 0 };
+
+    let next = 0;
+    let done = 0;
+    let stopped = false;
+
+    const finish = (index, result) => {
+
+      results[index] = { item : items[index], index, ...result };
+
+      counts[{ success : 'succeeded', error : 'failed', skipped : 'skipped' }[result.status]]++;
+
+      done++;
+
+      let detail = { label, done, total : items.length, ...counts, result : results[index] };
+
+      this.emit('batch', detail);
+
+      if (typeof onProgress === 'function') onProgress(detail);
+
+    };
+
+    const worker = async () => {
+
+      while (next < items.length) {
+
+        let index = next++;
+
+        if (stopped || (signal && signal.aborted)) {
+
+          finish(index, { status : 'skipped', reason : (stopped) ? 'stopped' : 'aborted' });
+
+          continue;
+
+        }
+
+        let reason = (skip) ? skip(items[index], index) : false;
+
+        if (reason) {
+
+          finish(index, { status : 'skipped', reason : (typeof reason === 'string') ? reason : 'skipped' });
+
+          continue;
+
+        }
+
+        try {
+
+          finish(index, { status : 'success', value : await operation(items[index], index, { signal }) });
+
+        }
+
+        catch (error) {
+
+          finish(index, { status : 'error', error });
+
+          if (stopOnError) stopped = true;
+
+        }
+
+      }
+
+    };
+
+    await Promise.all(Array.from({ length : Math.min(concurrency, items.length) }, worker));
+
+    if (counts.failed > 0) this.log('warn', `Batch${label ? ` "${label}"` : ''}: ${counts.failed} of ${items.length} items failed.`);
+
+    return { results, ...counts, stopped : stopped || !!(signal && signal.aborted) };
+
+  }
+
+  retryPolicyFor(config) {
+
+  /**
+   * Resolves the effective retry policy for one call:
+   * defaults -> endpoint override -> config.retry -> config.retries / config.delay.
+   *
+   * `idempotent` defaults to true for GET and false for everything else.
+   *
+   * @param {object} config - call() config
+   * @returns {object}
+   */
+
+    let policy = {
+
+      ...this.retryPolicy,
+      ...this.retryPolicy.endpoints[config.endpoint],
+      ...config.retry,
+
+    };
+
+    if (config.retries !== undefined) policy.retries = config.retries;
+
+    if (config.delay !== undefined) policy.delay = config.delay;
+
+    if (policy.idempotent === undefined) policy.idempotent = (config.method === 'GET');
+
+    return policy;
+
+  }
+
+  isRetriable(policy, response) {
+
+  /**
+   * Decides whether a failed response may be retried under `policy`.
+   * Non-idempotent requests only retry on `safeStatuses` (the CMS did not process them).
+   *
+   * @param {object} policy - from retryPolicyFor()
+   * @param {object} response - transport response (status 0 = no response)
+   * @returns {boolean}
+   */
+
+    if (!policy.idempotent && !policy.safeStatuses.includes(response.status)) return false;
+
+    if (response.status === 0) return policy.network;
+
+    if (policy.statuses.includes(response.status)) return true;
+
+    let code = response.data && response.data.code;
+
+    return typeof code === 'string' && policy.codes.some(token => code.includes(token));
+
+  }
+
+  retryDelay(policy, attempt, response) {
+
+  /**
+   * Delay before the next attempt.
+   * Uses Retry-After when present, otherwise exponential backoff with jitter:
+   * attempt 0 => ~delay
+   * attempt 1 => ~2*delay
+   * attempt 2 => ~4*delay
+   * capped at policy.maxDelay
+   *
+   * @returns {number} milliseconds
+   */
+
+    let retryAfter = (policy.retryAfter) ? CmsApi.parseRetryAfter(response.headers && response.headers['retry-after']) : null;
+
+    if (retryAfter !== null) return retryAfter;
+
+    const base = policy.delay * Math.pow(2, attempt);
+
+    const jitter = Math.floor(Math.random() * 250);
+
+    return Math.min(base + jitter, policy.maxDelay);
+
+  }
+
+  static parseRetryAfter(value) {
+
+  /**
+   * Parses a Retry-After header (delta seconds or HTTP date).
+   *
+   * @param {string} [value]
+   * @returns {number|null} milliseconds, or null when absent/invalid
+   */
+
+    if (!value) return null;
+
+    if (/^\s*\d+\s*$/.test(value)) return Number(value) * 1000;
+
+    let date = Date.parse(value);
+
+    return (isNaN(date)) ? null : Math.max(0, date - Date.now());
+
+  }
+
+  // ========== ENDPOINTS ==========
+
+  /**
+   * Endpoint registry. One helper method per entry is generated on CmsApi.prototype
+   * (see CmsApi.defineEndpoints()), e.g. `api.files_list({ path : '/' })`.
+   *
+   *   - method   : 'GET' | 'POST', or both (the helper then takes `(config, method = 'GET')`)
+   *   - path     : API path; `{param}` segments are filled from the params
+   *   - summary  : what the endpoint does
+   *   - level    : user level documented by the CMS (omitted where undocumented)
+   *   - minLevel : lowest user level that can ever succeed (number, or per method like
+   *                { POST : 4 }); used by the permission preflight. Omitted when any
+   *                level may succeed with group access.
+   *   - required : params that must be present (name => type)
+   *   - optional : other known params (name => type)
+   *   - defaults : values for missing params (functions receive the api instance and params)
+   *   - open     : accepts arbitrary extra params (reports, settings, search forms, ...)
+   *   - retries  : default retry limit override (the helper's second argument)
+   *   - mutates  : true for a GET that changes CMS state, or a function of the params for
+   *                a POST that only sometimes does; decides what a dry run plans instead of sending
+   *
+   * Types: 'string', 'number', 'boolean', 'array', 'binary' (File, Blob, ArrayBuffer or typed array),
+   * 'any', or alternatives like 'string|array'.
+   */
+  static endpoints = {
+
+    // ========== [/assets] ==========
+
+    assets_checkin : {
+      method : 'POST',
+      path : '/assets/checkin',
+      summary : 'Checkin an asset.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', asset : 'string|number' },
+      optional : { override : 'boolean' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_checkout : {
+      method : 'POST',
+      path : '/assets/checkout',
+      summary : 'Checkout an asset.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_copy : {
+      method : 'POST',
+      path : '/assets/copy',
+      summary : 'Copy an asset under a new name, optionally to another site.',
+      level : 'Level 9+ or level 8+ with group access',
+      minLevel : 8,
+      required : { site : 'string', asset : 'string|number', new_name : 'string' },
+      optional : { destination : 'string' },
+      defaults : { site : api => api.site },
+      retries : 0,
+    },
+
+    assets_delete : {
+      method : 'POST',
+      path : '/assets/delete',
+      summary : 'Delete an asset (it can be restored from the recycle bin).',
+      level : 'Level 8+ with group access or 1+ with delete permissions and group access',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_dependents : {
+      method : 'GET',
+      path : '/assets/dependents',
+      summary : 'List the pages that use an asset.',
+      level : 'All user levels',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_list : {
+      method : 'GET',
+      path : '/assets/list',
+      summary : 'List a page of assets.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { start : 'number', count : 'number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_log : {
+      method : 'GET',
+      path : '/assets/log',
+      summary : 'Get the log entries of an asset.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_new : {
+      method : 'POST',
+      path : '/assets/new',
+      summary : 'Create an asset.',
+      level : 'Level 9+ or 6+ with asset creation rights',
+      minLevel : 6,
+      required : { site : 'string', name : 'string', type : 'string|number' },
+      optional : { content : 'string', description : 'string', tags : 'string|array', group : 'string', readers : 'string', lock_to_site : 'boolean' },
+      defaults : { site : api => api.site },
+      retries : 0,
+    },
+
+    assets_publish : {
+      method : 'POST',
+      path : '/assets/publish',
+      summary : 'Publish an asset.',
+      level : 'Level 9+ or group access',
+      required : { site : 'string', asset : 'string|number' },
+      optional : { target : 'string', log : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_rename : {
+      method : 'POST',
+      path : '/assets/rename',
+      summary : 'Rename an asset.',
+      level : 'Level 9+ or 8 with group access',
+      minLevel : 8,
+      required : { site : 'string', asset : 'string|number', new_name : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_restore : {
+      method : 'POST',
+      path : '/assets/restore',
+      summary : 'Restore a deleted asset from the recycle bin.',
+      level : 'Level 9+ or 1+ with delete permissions and group access',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_revert : {
+      method : 'POST',
+      path : '/assets/revert',
+      summary : 'Revert an asset to a previous version.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', asset : 'string|number', revision : 'number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_save : {
+      method : 'POST',
+      path : '/assets/save',
+      summary : 'Save an asset (it must be checked out to the current user).',
+      level : 'Level 9+ or 1+ with group access',
+      required : { site : 'string', asset : 'string|number' },
+      optional : { name : 'string', content : 'string', description : 'string', tags : 'string|array' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_settings : {
+      method : ['GET', 'POST'],
+      path : '/assets/settings',
+      summary : 'GET : Get asset settings. POST : Save asset settings.',
+      level : 'GET : All user levels. POST : Level 9+ or 1+ with group access',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    assets_versions : {
+      method : 'GET',
+      path : '/assets/versions',
+      summary : 'Returns a list of versions for an asset.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    assets_view : {
+      method : 'GET',
+      path : '/assets/view',
+      summary : 'View an asset.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { asset : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    // ========== [/components] ==========
+
+    components_dependents : {
+      method : 'GET',
+      path : '/rs/components/dependents/{type}/{name}',
+      summary : 'Get dependent pages for a given component.',
+      required : { type : 'string', name : 'string' },
+      defaults : { type : 'generic' },
+    },
+
+    components_get : {
+      method : 'GET',
+      path : '/rs/components/{type}/{name}',
+      summary : 'Get a component.',
+      required : { type : 'string', name : 'string' },
+      defaults : { type : 'generic' },
+    },
+
+    components_list : {
+      method : 'GET',
+      path : '/rs/components',
+      summary : 'Get components.',
+      optional : { type : 'string', disabled : 'boolean' },
+      defaults : { type : 'generic', disabled : false },
+    },
+
+    // ========== [/directories] ==========
+
+    directories_settings : {
+      method : ['GET', 'POST'],
+      path : '/directories/settings',
+      summary : 'GET : Get directory settings. POST : Save directory settings.',
+      level : 'GET : All user levels. POST : Level 4+ with permission to write to the directory',
+      minLevel : { POST : 4 },
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    // ========== [/files] ==========
+
+    files_backup : {
+      method : 'POST',
+      path : '/files/backup',
+      summary : 'Backup a file to the versioning system.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string' },
+      optional : { message : 'string' },
+      defaults : { site : api => api.site, message : 'Backup via CMS API' },
+    },
+
+    files_brokenpages : {
+      method : 'GET',
+      path : '/files/brokenpages',
+      summary : 'Get broken pages.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_checkedout : {
+      method : 'GET',
+      path : '/files/checkedout',
+      summary : 'Get checked out pages.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { all : 'boolean' },
+      defaults : { site : api => api.site, all : true },
+    },
+
+    files_checkin : {
+      method : 'POST',
+      path : '/files/checkin',
+      summary : 'Checkin a file.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string|array' },
+      optional : { override : 'boolean' },
+      defaults : { site : api => api.site },
+    },
+
+    files_checkout : {
+      method : 'POST',
+      path : '/files/checkout',
+      summary : 'Checkout a file.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string|array' },
+      defaults : { site : api => api.site },
+    },
+
+    files_content : {
+      method : 'GET',
+      path : '/files/content',
+      summary : 'Get file content.',
+      level : 'Level 9+ or 1+ with source permissions and group access',
+      required : { site : 'string', path : 'string' },
+      optional : { label : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_copy : {
+      method : 'POST',
+      path : '/files/copy',
+      summary : 'Copy a file to a new destination.',
+      level : 'Level 9+ or level 8+ with group access to the source and destination',
+      minLevel : 8,
+      required : { site : 'string', path : 'string|array' },
+      optional : { new_path : 'string', destination : 'string', overwrite : 'boolean' },
+      defaults : { site : api => api.site },
+      retries : 0,
+    },
+
+    files_delete : {
+      method : 'POST',
+      path : '/files/delete',
+      summary : 'Delete one or more files.',
+      level : 'Level 8+ with group access or 1+ with delete permissions and group access',
+      required : { site : 'string', path : 'string|array' },
+      optional : { remote : 'boolean', target : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_dependencies : {
+      method : 'GET',
+      path : '/files/dependencies',
+      summary : 'Get dependencies.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_dependency : {
+      method : 'GET',
+      path : '/files/dependency',
+      summary : 'Get dependency manager tag info.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { path : 'string', dependency : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_dependents : {
+      method : 'GET',
+      path : '/files/dependents',
+      summary : 'Returns a list of pages on staging that are dependent on the specified files.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string|array' },
+      defaults : { site : api => api.site },
+    },
+
+    files_dirtypages : {
+      method : 'GET',
+      path : '/files/dirtypages',
+      summary : 'Get dirty pages.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string' },
+      optional : { path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_dm_revert : {
+      method : 'POST',
+      path : '/files/dm_revert',
+      summary : 'Remove all Dependency Manager tags from all staging files in the site directory specified, replacing them with URL type links.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_expire : {
+      method : 'POST',
+      path : '/files/expire',
+      summary : 'Schedule files to expire (be removed from, or redirected on, the published target) at a date.',
+      level : 'Level 9+ or publish target group access',
+      required : { site : 'string', path : 'string|array', date : 'string' },
+      optional : { target : 'string', expire_type : 'string', redirect : 'string', log : 'string' },
+      defaults : { site : api => api.site },
+      retries : 0,
+    },
+
+    files_info : {
+      method : 'GET',
+      path : '/files/info',
+      summary : 'Returns file information for a specified file path.',
+      level : 'Level 9+ or 5+ with group access',
+      minLevel : 5,
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_list : {
+      method : 'GET',
+      path : '/files/list',
+      summary : 'Returns a list of files for a specified directory or .pcf path.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_locked : {
+      method : 'GET',
+      path : '/files/locked',
+      summary : 'Returns a list of files that the current user has locked.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_log : {
+      method : 'GET',
+      path : '/files/log',
+      summary : 'Get file log info for a specified file.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_move : {
+      method : 'POST',
+      path : '/files/move',
+      summary : 'Move a file.',
+      level : 'Level 9+ or level 8+ with group access to the source and destination',
+      minLevel : 8,
+      required : { site : 'string', path : 'string|array' },
+      optional : { new_path : 'string', destination : 'string', overwrite : 'boolean' },
+      defaults : { site : api => api.site },
+    },
+
+    files_multipublish : {
+      method : 'POST',
+      path : '/files/multipublish',
+      summary : 'Publish all files in a directory or multiple individual files.',
+      level : 'Level 9+ or publish target group access',
+      required : { site : 'string', target : 'string' },
+      defaults : { site : api => api.site, target : (api, config) => config.site },
+      open : true,
+    },
+
+    files_new_folder : {
+      method : 'POST',
+      path : '/files/new_folder',
+      summary : 'Creates a new directory (folder). Returns an error if a folder with that name exists.',
+      required : { site : 'string', path : 'string', name : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_products : {
+      method : 'GET',
+      path : '/files/products',
+      summary : 'Get page products.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string' },
+      optional : { subscribers : 'boolean' },
+      defaults : { site : api => api.site },
+    },
+
+    files_properties : {
+      method : ['GET', 'POST'],
+      path : '/files/properties',
+      summary : 'GET : Get page properties. POST : Save page properties.',
+      level : 'Level 9+ or level 5+ with group access',
+      minLevel : 5,
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    files_publish : {
+      method : 'POST',
+      path : '/files/publish',
+      summary : 'Publish a file.',
+      level : 'Level 9+ or group access',
+      required : { site : 'string', path : 'string|array' },
+      optional : { target : 'string', override : 'boolean', log : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_recycle : {
+      method : 'POST',
+      path : '/files/recycle',
+      summary : 'Send files to the recycle bin.',
+      level : 'Level 9+ or 1+ with delete permissions and group access',
+      required : { site : 'string', path : 'string|array' },
+      defaults : { site : api => api.site },
+    },
+
+    files_rename : {
+      method : 'POST',
+      path : '/files/rename',
+      summary : 'Rename a file.',
+      level : 'Level 9+ or 8 with group access',
+      minLevel : 8,
+      required : { site : 'string', path : 'string' },
+      optional : { new_name : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_revert : {
+      method : 'POST',
+      path : '/files/revert',
+      summary : 'Restore a file to a previous version; the current source is kept as a new version.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string', revision : 'number' },
+      defaults : { site : api => api.site },
+    },
+
+    files_save : {
+      method : 'POST',
+      path : '/files/save',
+      summary : 'Save files.',
+      level : 'Level 9+ or 1+ with group access',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    files_scan : {
+      method : 'POST',
+      path : '/files/scan',
+      summary : 'Synchronizes the current staging files of a directory with the database.',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_schedule : {
+      method : 'POST',
+      path : '/files/schedule',
+      summary : 'Schedule files (or everything in a directory) to publish at a date.',
+      level : 'Level 9+ or publish target group access',
+      required : { site : 'string', path : 'string|array', date : 'string' },
+      optional : { target : 'string', log : 'string' },
+      defaults : { site : api => api.site },
+      retries : 0,
+    },
+
+    files_scheduled : {
+      method : 'GET',
+      path : '/files/scheduled',
+      summary : 'List the scheduled publish and expire jobs of a site, optionally under a path.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_settings : {
+      method : ['GET', 'POST'],
+      path : '/files/settings',
+      summary : 'GET : Get page access settings. POST : Save page access settings.',
+      level : 'GET : All user levels. POST : Level 9+ or 1+ with group access',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    files_source : {
+      method : 'GET',
+      path : '/files/source',
+      summary : 'Get file source code (of an older version with `revision`).',
+      level : 'Level 9+ or 1+ with source permissions and group access',
+      required : { site : 'string', path : 'string' },
+      optional : { brokentags : 'boolean', label : 'string', revision : 'number' },
+      defaults : { site : api => api.site, brokentags : true },
+    },
+
+    files_subscribers : {
+      method : 'GET',
+      path : '/files/subscribers',
+      summary : 'Returns a list of files that are subscribers to a specified file.',
+      level : 'All user levels',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_unschedule : {
+      method : 'POST',
+      path : '/files/unschedule',
+      summary : 'Cancel scheduled publish or expire jobs.',
+      level : 'Level 9+ or the user who scheduled them',
+      required : { site : 'string', id : 'string|number|array' },
+      defaults : { site : api => api.site },
+    },
+
+    files_upload : {
+      method : 'POST',
+      path : '/files/upload',
+      summary : 'Upload a file into a directory.',
+      required : { site : 'string', path : 'string' },
+      optional : { file : 'binary|string|array', name : 'string', overwrite : 'boolean' },
+      defaults : { site : api => api.site, overwrite : true },
+      open : true,
+    },
+
+    files_versions : {
+      method : 'GET',
+      path : '/files/versions',
+      summary : 'Returns a list of versions for a specified file.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_view : {
+      method : 'GET',
+      path : '/files/view',
+      summary : 'View a file.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    files_wysiwyg_info : {
+      method : 'GET',
+      path : '/files/wysiwyg_info',
+      summary : 'Get WYSIWYG info.',
+      level : 'Level 9+ or have group access',
+      required : { site : 'string', path : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    // ========== [/groups] ==========
+
+    groups_add : {
+      method : 'POST',
+      path : '/groups/add',
+      summary : 'Creates a group, optionally with members.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { group : 'string' },
+      optional : { members : 'string|array' },
+      retries : 0,
+    },
+
+    groups_list : {
+      method : 'GET',
+      path : '/groups/list',
+      summary : 'Returns a list of group information.',
+      level : 'All user levels',
+    },
+
+    groups_view : {
+      method : 'GET',
+      path : '/groups/view',
+      summary : 'Returns group information for the specified group.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { group : 'string' },
+    },
+
+    groups_save : {
+      method : 'POST',
+      path : '/groups/save',
+      summary : 'Saves a group. `members` replaces the whole member list.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { group : 'string' },
+      optional : { members : 'string|array', new_name : 'string' },
+    },
+
+    // ========== [/reports] ==========
+
+    reports_custom : {
+      method : 'GET',
+      path : '/reports',
+      summary : 'Custom reports.',
+      level : 'Level 9+ only',
+      minLevel : 9,
+      required : { site : 'string', report : 'string' },
+      optional : { all : 'boolean' },
+      defaults : { site : api => api.site, all : true },
+      open : true,
+    },
+
+    reports_subscribers : {
+      method : 'GET',
+      path : '/reports/subscribers',
+      summary : 'Get dependency tag subscribers.',
+      level : 'Level 9+ only',
+      minLevel : 9,
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    // ========== [/sites] ==========
+
+    sites_advanced_search : {
+      method : 'GET',
+      path : '/sites/advanced_search',
+      summary : 'Advanced global search.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    sites_basic_search : {
+      method : 'GET',
+      path : '/sites/basic_search',
+      summary : 'Basic global search.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+      open : true,
+    },
+
+    sites_findreplace : {
+      method : 'POST',
+      path : '/sites/findreplace',
+      summary : 'Start a find and replace job.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { site : 'string', srchstr : 'string' },
+      optional : {
+        paths : 'string|array',
+        extensions : 'string|array',
+        replace : 'boolean',
+        rplcstr : 'string',
+        include_components : 'boolean',
+        casesensitive : 'boolean',
+        regex : 'boolean',
+        log : 'string',
+      },
+      defaults : { site : api => api.site },
+      // A find-only job (replace=false) doesn't change content.
+      mutates : params => String(params.replace) !== 'false',
+    },
+
+    sites_findreplacestatus : {
+      method : 'GET',
+      path : '/sites/findreplacestatus',
+      summary : 'Returns find and replace status for a specified find and replace job.',
+      level : 'Level 10+ only and must be the owner of the find and replace job',
+      minLevel : 10,
+      required : { site : 'string', id : 'string|number' },
+      defaults : { site : api => api.site },
+    },
+
+    sites_list : {
+      method : 'GET',
+      path : '/sites/list',
+      summary : 'Returns a list of sites for an account.',
+      level : 'All user levels',
+      required : { account : 'string' },
+      defaults : { account : api => api.account },
+    },
+
+    sites_publish : {
+      method : 'POST',
+      path : '/sites/publish',
+      summary : 'Publish an entire site.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { site : 'string' },
+      optional : { target : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    sites_quicksearch : {
+      method : 'GET',
+      path : '/sites/quicksearch',
+      summary : 'Quick Search.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      optional : { start : 'number', count : 'number' },
+      defaults : { site : api => api.site, count : 1000 },
+      open : true,
+    },
+
+    sites_revert : {
+      method : 'POST',
+      path : '/sites/revert',
+      summary : 'Remove all Dependency Manager tags from all staging files on site, replacing them with URL type links.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    sites_scan : {
+      method : 'GET',
+      path : '/sites/scan',
+      summary : 'Start a dependency manager scan on a site.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+      mutates : true,
+    },
+
+    sites_sitemap : {
+      method : 'POST',
+      path : '/sites/sitemap',
+      summary : 'Generate and publish sitemap.xml to production.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    sites_targets : {
+      method : 'GET',
+      path : '/sites/targets',
+      summary : 'Returns a list of publish target names for the specified site.',
+      level : 'All user levels',
+      required : { site : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    sites_view : {
+      method : 'GET',
+      path : '/sites/view',
+      summary : 'Returns site information for the specified site.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { account : 'string', site : 'string' },
+      defaults : { account : api => api.account, site : api => api.site },
+    },
+
+    // ========== [/tag] ==========
+
+    tag_list : {
+      method : 'GET',
+      path : '/tag/list',
+      summary : 'Fetch a list of tags.',
+      level : 'All user levels',
+      open : true,
+    },
+
+    // ========== [/users] ==========
+
+    users_add : {
+      method : 'POST',
+      path : '/users/add',
+      summary : 'Creates a user. Other user settings (approver, privileges, ...) pass through as params.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { user : 'string', first_name : 'string', last_name : 'string', email : 'string' },
+      optional : { level : 'number', password : 'string', auth_type : 'string', approver : 'string', enforce_approver : 'boolean' },
+      open : true,
+      retries : 0,
+    },
+
+    users_delete : {
+      method : 'POST',
+      path : '/users/delete',
+      summary : 'Deletes one or more users in an account.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { user : 'string|array' },
+    },
+
+    users_groups : {
+      method : 'GET',
+      path : '/users/groups',
+      summary : 'Returns the groups of the specified user. Non-admin users only get their own.',
+      level : 'All user levels',
+      required : { user : 'string' },
+      defaults : { user : api => api.user },
+    },
+
+    users_list : {
+      method : 'GET',
+      path : '/users/list',
+      summary : 'Returns a list of user information.',
+      level : 'All user levels',
+      optional : { start : 'number', count : 'number' },
+    },
+
+    users_save : {
+      method : 'POST',
+      path : '/users/save',
+      summary : 'Saves user settings; params that are left out keep their value.',
+      level : 'Level 10+ only',
+      minLevel : 10,
+      required : { user : 'string' },
+      optional : { first_name : 'string', last_name : 'string', email : 'string', level : 'number', password : 'string', auth_type : 'string', approver : 'string', enforce_approver : 'boolean' },
+      open : true,
+    },
+
+    users_view : {
+      method : 'GET',
+      path : '/users/view',
+      summary : 'Returns user information for the specified user. Non-admin users only get their own.',
+      level : 'All user levels',
+      required : { user : 'string' },
+      defaults : { user : api => api.user },
+    },
+
+    // ========== [/workflow] ==========
+
+    workflow_approve : {
+      method : 'POST',
+      path : '/workflow/approve',
+      summary : 'Approve a page waiting for the current user, optionally publishing it.',
+      level : 'The assigned approver',
+      required : { site : 'string', path : 'string' },
+      optional : { message : 'string', publish : 'boolean', target : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    workflow_decline : {
+      method : 'POST',
+      path : '/workflow/decline',
+      summary : 'Decline a page waiting for the current user; it goes back to the sender.',
+      level : 'The assigned approver',
+      required : { site : 'string', path : 'string' },
+      optional : { message : 'string' },
+      defaults : { site : api => api.site },
+    },
+
+    workflow_list : {
+      method : 'GET',
+      path : '/workflow/list',
+      summary : 'List the pages waiting for approval by a user (defaults to the current user).',
+      level : 'All user levels. Level 10 for other users',
+      optional : { user : 'string' },
+    },
+
+    workflow_submit : {
+      method : 'POST',
+      path : '/workflow/submit',
+      summary : 'Submit a page for approval; it is checked out to the approver.',
+      level : 'Level 1+ with group access',
+      required : { site : 'string', path : 'string', approver : 'string' },
+      optional : { subject : 'string', message : 'string', send_email : 'boolean' },
+      defaults : { site : api => api.site },
+    },
+
+  };
+
+  static defineEndpoints(endpoints = CmsApi.endpoints) {
+
+  /**
+   * Generates one helper method per registry entry on CmsApi.prototype.
+   * Call again after adding entries to CmsApi.endpoints.
+   *
+   * Helper signatures:
+   *   - single method : name(config = {}, retries = entry.retries)
+   *   - GET + POST    : name(config = {}, method = 'GET')
+   */
+
+    for (let name of Object.keys(endpoints)) {
+
+      CmsApi.prototype[name] = function (config = {}, arg) {
+
+        return this.request(name, config, arg);
+
+      };
+
+    }
+
+  }
+
+  request(name, config = {}, arg) {
+
+  /**
+   * Runs a registry endpoint: applies defaults, validates params, fills the
+   * path template, then sends through call() (metrics are keyed by the template).
+   *
+   * @param {string} name - registry key (e.g. 'files_list')
+   * @param {object} [config] - params (plus request options like signal)
+   * @param {string|number} [arg] - method ('GET'|'POST') or retries, see defineEndpoints()
+   * @returns {Promise<any>} rejects with a CmsApiError (code 'INVALID_PARAMS') before sending
+   */
+
+    let spec = CmsApi.endpoints[name];
+
+    if (!spec) return Promise.reject(new TypeError(`Unknown CMS API endpoint: ${name}`));
+
+    // Defaults go into a copy, not the caller's params.
+    config = { ...config };
+
+    let methods = [spec.method].flat();
+
+    let method = (methods.length > 1) ? (arg || 'GET') : methods[0];
+
+    let retries = (methods.length > 1) ? undefined : (arg ?? spec.retries);
+
+    for (let [key, value] of Object.entries(spec.defaults || {})) {
+
+      if (config[key] === undefined || config[key] === null || config[key] === '') config[key] = (typeof value === 'function') ? value(this, config) : value;
+
+    }
+
+    let problems = [];
+
+    if (!methods.includes(method)) problems.push(`method must be ${methods.join(' or ')}`);
+
+    problems.push(...this.validate(spec, config));
+
+    if (problems.length > 0) {
+
+      let error = new CmsApiError({ method, endpoint : spec.path, code : 'INVALID_PARAMS', error : problems.join('; ') });
+
+      this.log('error', error.message);
+
+      return Promise.reject(error);
+
+    }
+
+    let endpoint = spec.path.replace(/\{(\w+)\}/g, (match, key) => encodeURIComponent(config[key]));
+
+    const send = () => this.call({ method, endpoint, route : spec.path, data : config, retries });
+
+    let minLevel = CmsApi.minLevelFor(spec, method);
+
+    if (!this.permissions || minLevel === 0) return send();
+
+    return this.loadUserLevel().then(level => {
+
+      // Unknown level: let the CMS decide.
+      if (level === null || level >= minLevel) return send();
+
+      let error = new CmsApiError({
+
+        method,
+        endpoint : spec.path,
+        code : 'PERMISSION_DENIED',
+        error : `requires user level ${minLevel}+ (current user is level ${level})`,
+
+      });
+
+      error.requiredLevel = minLevel;
+      error.userLevel = level;
+
+      this.log('warn', error.message);
+
+      throw error;
+
+    });
+
+  }
+
+  static minLevelFor(spec, method = 'GET') {
+
+  /**
+   * @returns {number} the entry's minLevel for `method` (0 = no restriction)
+   */
+
+    let minLevel = (spec.minLevel && typeof spec.minLevel === 'object') ? spec.minLevel[method] : spec.minLevel;
+
+    return minLevel || 0;
+
+  }
+
+  loadUserLevel(refresh = false) {
+
+  /**
+   * Learns the current user's level from users_view (once; concurrent callers share the request).
+   *
+   * @param {boolean} [refresh] - ignore the stored level and ask again
+   * @returns {Promise<number|null>} null when it cannot be determined (or the user is unknown)
+   */
+
+    if (this.userLevel !== null && !refresh) return Promise.resolve(this.userLevel);
+
+    if (this.userLevelRequest) return this.userLevelRequest;
+
+    // No gadget context or `user` option: there is nobody to look up, so let the CMS decide.
+    if (!this.user || this.user === 'unknown user') return Promise.resolve(null);
+
+    this.userLevelRequest = this.users_view({ priority : 'interactive' })
+
+      .then(data => {
+
+        let level = Number(data && data.level);
+
+        this.userLevel = (Number.isFinite(level)) ? level : null;
+
+        return this.userLevel;
+
+      })
+
+      .catch(error => {
+
+        this.log('warn', 'Could not determine the current user level; permission preflight is skipped.', { error });
+
+        return null;
+
+      })
+
+      .finally(() => this.userLevelRequest = null);
+
+    return this.userLevelRequest;
+
+  }
+
+  async can(name, method) {
+
+  /**
+   * Whether the current user's level allows an endpoint, e.g. to hide controls:
+   *
+   *   if (!await api.can('sites_findreplace')) button.classList.add('d-none');
+   *
+   * Group-based access is checked by the CMS itself, so `true` means
+   * "not ruled out by level" rather than a guarantee.
+   *
+   * @param {string} name - endpoint helper name
+   * @param {'GET'|'POST'} [method] - defaults to the endpoint's (first) method
+   * @returns {Promise<boolean>}
+   */
+
+    let spec = CmsApi.endpoints[name];
+
+    if (!spec) throw new TypeError(`Unknown CMS API endpoint: ${name}`);
+
+    let minLevel = CmsApi.minLevelFor(spec, method || [spec.method].flat()[0]);
+
+    if (minLevel === 0) return true;
+
+    let level = await this.loadUserLevel();
+
+    return level === null || level >= minLevel;
+
+  }
+
+  validate(spec, config) {
+
+  /**
+   * Checks params against a registry entry.
+   * Missing required params and wrong types are errors. Unknown params (usually
+   * misspellings) are errors when `this.strictParams` is set, warnings otherwise.
+   *
+   * @param {object} spec - registry entry
+   * @param {object} config - params
+   * @returns {Array<string>} problems (empty when valid)
+   */
+
+    let problems = [];
+
+    let known = { ...spec.required, ...spec.optional };
+
+    for (let key of Object.keys(spec.required || {})) {
+
+      let value = config[key];
+
+      // An empty path means the site root (getDmTagByUrl() looks up top-level entries that way).
+      if (value === '' && key === 'path') continue;
+
+      if (value === undefined || value === null || value === '') problems.push(`missing required param "${key}"`);
+
+    }
+
+    for (let [key, value] of Object.entries(config)) {
+
+      if (value === undefined || CmsApi.requestOptions.includes(key)) continue;
+
+      if (!known[key]) {
+
+        if (spec.open) continue;
+
+        if (this.strictParams) problems.push(`unknown param "${key}"`);
+
+        else this.log('warn', `Unknown param "${key}" for ${spec.path} (misspelled?)`);
+
+        continue;
+
+      }
+
+      if (!CmsApi.checkType(value, known[key])) problems.push(`param "${key}" must be ${known[key]}`);
+
+    }
+
+    return problems;
+
+  }
+
+  static checkType(value, type) {
+
+  /**
+   * Loose type check for form params: numbers and booleans may also be given
+   * as their string forms, because that's how they travel anyway.
+   */
+
+    return type.split('|').some(name => {
+
+      if (name === 'any') return true;
+
+      if (name === 'array') return Array.isArray(value);
+
+      if (name === 'string') return typeof value === 'string';
+
+      if (name === 'number') return typeof value === 'number' || (typeof value === 'string' && value.trim() !== '' && !isNaN(value));
+
+      if (name === 'boolean') return typeof value === 'boolean' || value === 'true' || value === 'false';
+
+      if (name === 'binary') return CmsApi.isBinary(value);
+
+      return false;
+
+    });
+
+  }
+
+}
+
+// Generate the endpoint helpers (api.files_list(), api.sites_targets(), ...).
+CmsApi.defineEndpoints();
+
+
+// ========== ERRORS ==========
+
+class CmsApiError extends Error {
+
+/**
+ * CmsApiError
+ * Rejection value of failed CmsApi requests.
+ *
+ * @property {string} method - 'GET' | 'POST'
+ * @property {string} endpoint - e.g. '/files/list'
+ * @property {number} status - HTTP status (0 = no response)
+ * @property {string} [code] - CMS error code (e.g. 'TIMEOUT', 'SESSION_NOT_FOUND')
+ * @property {string} [error] - CMS error message (or HTTP status text)
+ * @property {number} attempts - requests sent, including retries
+ * @property {boolean} retriable - whether the failure matched the retry policy
+ * @property {object} [response] - last transport response
+ */
+
+  constructor({ method, endpoint, status = 0, code, error, attempts = 1, retriable = false, response, message } = {}) {
+
+    super(message || `CMS API error: ${method} ${endpoint} ->${status ? ` ${status}` : ''}${code ? ` ${code}` : ''}${error ? `: ${error}` : ''}`);
+
+    this.name = 'CmsApiError';
+    this.method = method;
+    this.endpoint = endpoint;
+    this.status = status;
+    this.code = code;
+    this.error = error;
+    this.attempts = attempts;
+    this.retriable = retriable;
+
+    // Non-enumerable: raw responses are large and may echo request data.
+    Object.defineProperty(this, 'response', { value : response, enumerable : false });
+
+  }
+
+  toJSON() {
+
+    let { method, endpoint, status, code, error, attempts, retriable } = this;
+
+    return { name : this.name, message : this.message, method, endpoint, status, code, error, attempts, retriable };
+
+  }
+
+}
+
+class CmsAbortError extends CmsApiError {
+
+/**
+ * CmsAbortError
+ * Rejection value of CmsApi requests cancelled through an AbortSignal.
+ * Uses the DOM "AbortError" name so callers can handle fetch and CmsApi aborts alike.
+ */
+
+  constructor(config = {}) {
+
+    super({
+
+      method : config.method,
+      endpoint : config.endpoint,
+      code : 'ABORTED',
+      message : `CMS API request aborted: ${config.method} ${config.endpoint}`,
+
+    });
+
+    this.name = 'AbortError';
+    this.aborted = true;
+
+  }
+
+}
+
+
+// ========== LOGGING ==========
+
+class CmsConsoleLogger {
+
+/**
+ * CmsConsoleLogger
+ * Default CmsApi logger; errors are styled so they are easy to spot in devtools.
+ * CmsApi redacts details before they reach any logger.
+ */
+
+  debug(message, details) {
+
+    console.debug(`[CmsApi] ${message}`, details);
+
+  }
+
+  info(message, details) {
+
+    console.info(`[CmsApi] ${message}`, details);
+
+  }
+
+  warn(message, details) {
+
+    console.warn(`[CmsApi] ${message}`, details);
+
+  }
+
+  error(message, details) {
+
+    console.log(`%c[CmsApi] ${message}`, 'color: firebrick; font-weight: bold;', details);
+
+  }
+
+}
+
+
+// ========== CACHE ==========
+
+class CmsResponseCache {
+
+/**
+ * CmsResponseCache
+ * In-memory cache of GET responses with a TTL per endpoint.
+ *
+ * Endpoints without a TTL (and `ttl` 0, the default) are not cached.
+ * Values are deep-copied in and out, because helpers mutate API results.
+ */
+
+  static defaultTtls = {
+
+    '/directories/settings' : 30_000,
+    '/files/list' : 30_000,
+    '/files/settings' : 30_000,
+    '/groups/list' : 300_000,
+    '/sites/list' : 300_000,
+    '/sites/targets' : 300_000,
+    '/users/list' : 300_000,
+
+  };
+
+  // Endpoint families built from everything else (reports list groups, users, sites, ...):
+  // any write drops them.
+  static derived = ['reports'];
+
+  constructor(options = {}) {
+
+    // Fallback TTL (ms) for endpoints not listed in `endpoints`.
+    this.ttl = options.ttl ?? 0;
+
+    this.endpoints = { ...CmsResponseCache.defaultTtls, ...options.endpoints };
+
+    this.entries = new Map();
+
+  }
+
+  static key(endpoint, data) {
+
+  /**
+   * Stable cache key: endpoint + sorted params (auth token excluded).
+   */
+
+    let params = Object.keys(data)
+
+      .filter(key => key !== 'authorization_token')
+
+      .sort()
+
+      .map(key => [key, data[key]]);
+
+    return `${endpoint}?${JSON.stringify(params)}`;
+
+  }
+
+  static related(a, b) {
+
+  /**
+   * True when one path is the other, or an ancestor of it
+   * (a directory listing is stale when a file inside it changes).
+   */
+
+    a = String(a).replace(/\/+$/, '');
+    b = String(b).replace(/\/+$/, '');
+
+    return a === b || a.startsWith(`${b}/`) || b.startsWith(`${a}/`);
+
+  }
+
+  ttlFor(endpoint) {
+
+    return this.endpoints[endpoint] ?? this.ttl;
+
+  }
+
+  get(endpoint, data) {
+
+  /**
+   * @returns {any} a copy of the cached value, or undefined on miss/expiry
+   */
+
+    let key = CmsResponseCache.key(endpoint, data);
+
+    let entry = this.entries.get(key);
+
+    if (!entry) return undefined;
+
+    if (entry.expires <= Date.now()) {
+
+      this.entries.delete(key);
+
+      return undefined;
+
+    }
+
+    return structuredClone(entry.value);
+
+  }
+
+  set(endpoint, data, value) {
+
+    let ttl = this.ttlFor(endpoint);
+
+    if (!(ttl > 0)) return;
+
+    this.entries.set(CmsResponseCache.key(endpoint, data), {
+
+      value : structuredClone(value),
+      expires : Date.now() + ttl,
+      endpoint,
+      site : data.site,
+      path : data.path,
+
+    });
+
+  }
+
+  invalidate(endpoint, data) {
+
+  /**
+   * Drops entries made stale by a write to `endpoint` with `data`:
+   * - writes with a site drop entries of that site with a related path (or no path);
+   *   a write without a recognizable path (e.g. find/replace) drops the whole site
+   * - writes without a site drop entries of the same endpoint family (e.g. /users/*)
+   * - every write drops the `derived` families (/reports)
+   */
+
+    // Moves/copies/renames also touch their destination.
+    let paths = [data.path, data.new_path, data.destination, data.paths]
+
+      .flat()
+
+      .filter(path => typeof path === 'string' && path.startsWith('/'));
+
+    let family = endpoint.split('/')[1];
+
+    for (let [key, entry] of this.entries) {
+
+      let entryFamily = entry.endpoint.split('/')[1];
+
+      let stale = (data.site)
+
+        ? entry.site === data.site && (!entry.path || paths.length === 0 || paths.some(path => CmsResponseCache.related(path, entry.path)))
+
+        : entryFamily === family;
+
+      if (stale || CmsResponseCache.derived.includes(entryFamily)) this.entries.delete(key);
+
+    }
+
+  }
+
+  clear() {
+
+    this.entries.clear();
+
+  }
+
+}
+
+
+// ========== QUEUE ==========
+
+class CmsRequestQueue {
+
+/**
+ * CmsRequestQueue
+ * Runs async tasks with a maximum number in parallel.
+ * Queued tasks are started lane by lane: interactive, then normal, then bulk.
+ */
+
+  static lanes = ['interactive', 'normal', 'bulk'];
+
+  constructor(concurrency = 6, onChange = () => {}) {
+
+    this.concurrency = concurrency;
+    this.onChange = onChange;
+
+    this.active = 0;
+    this.completed = 0;
+
+    this.lanes = {};
+
+    for (let lane of CmsRequestQueue.lanes) this.lanes[lane] = [];
+
+  }
+
+  schedule(task, priority = 'normal', signal) {
+
+  /**
+   * Queues `task` and resolves/rejects with its result once it has run.
+   * Aborting `signal` while the task is still queued drops it (rejects with an AbortError).
+   *
+   * @param {Function} task - returns a promise
+   * @param {'interactive'|'normal'|'bulk'} [priority]
+   * @param {AbortSignal} [signal]
+   * @returns {Promise<any>}
+   */
+
+    let lane = this.lanes[priority];
+
+    if (!lane) return Promise.reject(new TypeError(`Unknown request priority: ${priority}`));
+
+    return new Promise((resolve, reject) => {
+
+      let job = { task, resolve, reject };
+
+      if (signal) {
+
+        job.drop = () => {
+
+          let index = lane.indexOf(job);
+
+          if (index === -1) return; // already started
+
+          lane.splice(index, 1);
+
+          reject(new DOMException('Request aborted while queued', 'AbortError'));
+
+          this.onChange(this.stats());
+
+        };
+
+        signal.addEventListener('abort', job.drop, { once : true });
+
+        job.signal = signal;
+
+      }
+
+      lane.push(job);
+
+      this.next();
+
+    });
+
+  }
+
+  next() {
+
+  /**
+   * Starts queued jobs until every slot is busy or the queue is empty.
+   */
+
+    while (this.active < this.concurrency) {
+
+      let lane = CmsRequestQueue.lanes.find(name => this.lanes[name].length > 0);
+
+      if (!lane) break;
+
+      let job = this.lanes[lane].shift();
+
+      if (job.signal) job.signal.removeEventListener('abort', job.drop);
+
+      this.active++;
+
+      Promise.resolve()
+
+        .then(job.task)
+
+        .then(job.resolve, job.reject)
+
+        .finally(() => {
+
+          this.active--;
+          this.completed++;
+
+          this.next();
+
+        });
+
+    }
+
+    this.onChange(this.stats());
+
+  }
+
+  stats() {
+
+  /**
+   * @returns {{concurrency: number, active: number, queued: number, lanes: Object<string, number>, completed: number}}
+   */
+
+    let lanes = {};
+
+    for (let name of CmsRequestQueue.lanes) lanes[name] = this.lanes[name].length;
+
+    return {
+
+      concurrency : this.concurrency,
+      active : this.active,
+      queued : Object.values(lanes).reduce((sum, count) => sum + count, 0),
+      lanes,
+      completed : this.completed,
+
+    };
+
+  }
+
+}
+
+
+// ========== METRICS ==========
+
+class CmsMetrics {
+
+/**
+ * CmsMetrics
+ * Per-endpoint request statistics for CmsApi (see CmsApi.stats()).
+ *
+ * One record per call (retries included), keyed by "METHOD /endpoint", using the
+ * registry path template (`/components/{name}`) rather than each filled-in path. Latency
+ * percentiles are computed from the last `samples` calls of each endpoint.
+ */
+
+  constructor({ samples = 500 } = {}) {
+
+    this.samples = samples;
+
+    this.reset();
+
+  }
+
+  reset() {
+
+    this.since = new Date().toISOString();
+
+    this.endpoints = new Map();
+
+  }
+
+  record({ method, endpoint, route, duration = 0, attempts = 1, bytes = 0, ok = true, code = null, cached = false }) {
+
+  /**
+   * Adds one finished call.
+   *
+   * @param {object} call - { method, endpoint, route, duration, attempts, bytes, ok, code, cached }
+   *   route: the registry path template (calls made with get()/post() directly have none)
+   */
+
+    let path = route || endpoint;
+
+    let key = `${method} ${path}`;
+
+    let entry = this.endpoints.get(key);
+
+    if (!entry) {
+
+      entry = { method, endpoint : path, count : 0, ok : 0, failed : 0, cached : 0, retries : 0, bytes : 0, errors : {}, latencies : [] };
+
+      this.endpoints.set(key, entry);
+
+    }
+
+    entry.count++;
+
+    entry.retries += Math.max(0, attempts - 1);
+
+    entry.bytes += bytes;
+
+    if (ok) entry.ok++;
+
+    else {
+
+      entry.failed++;
+
+      entry.errors[code] = (entry.errors[code] || 0) + 1;
+
+    }
+
+    // Cache hits never reached the CMS; keep them out of the latency figures.
+    if (cached) return entry.cached++;
+
+    entry.latencies.push(duration);
+
+    if (entry.latencies.length > this.samples) entry.latencies.shift();
+
+  }
+
+  static summarize(latencies) {
+
+  /**
+   * @returns {{min, avg, p50, p90, p95, p99, max}} in ms (nulls without samples)
+   */
+
+    let sorted = [...latencies].sort((a, b) => a - b);
+
+    const percentile = p => (sorted.length) ? sorted[Math.min(sorted.length - 1, Math.ceil(p / 100 * sorted.length) - 1)] : null;
+
+    return {
+
+      min : sorted[0] ?? null,
+      avg : (sorted.length) ? Math.round(sorted.reduce((sum, value) => sum + value, 0) / sorted.length) : null,
+      p50 : percentile(50),
+      p90 : percentile(90),
+      p95 : percentile(95),
+      p99 : percentile(99),
+      max : sorted[sorted.length - 1] ?? null,
+
+    };
+
+  }
+
+  stats() {
+
+  /**
+   * @returns {object} { since, totals, endpoints : { 'GET /files/list' : { count, ok, failed, cached, retries, bytes, errors, latency } } }
+   */
+
+    let totals = { count : 0, ok : 0, failed : 0, cached : 0, retries : 0, bytes : 0, errors : {} };
+
+    let endpoints = {};
+
+    let latencies = [];
+
+    for (let [key, { latencies : samples, ...entry }] of this.endpoints) {
+
+      endpoints[key] = { ...entry, errors : { ...entry.errors }, latency : CmsMetrics.summarize(samples) };
+
+      for (let name of ['count', 'ok', 'failed', 'cached', 'retries', 'bytes']) totals[name] += entry[name];
+
+      for (let [code, count] of Object.entries(entry.errors)) totals.errors[code] = (totals.errors[code] || 0) + count;
+
+      latencies.push(...samples);
+
+    }
+
+    totals.latency = CmsMetrics.summarize(latencies);
+
+    return { since : this.since, totals, endpoints };
+
+  }
+
+}
+
+
+// ========== TRANSPORTS ==========
+
+class CmsFetchTransport {
+
+/**
+ * CmsFetchTransport
+ * Default CmsApi transport built on fetch (no jQuery required).
+ *
+ * Params are serialized the same way as `$.param(data, true)` ("traditional"
+ * mode), so arrays are sent as repeated keys.
+ */
+
+  constructor(fetchImpl) {
+
+    // Allow a custom fetch (polyfill, test double). globalThis also covers workers and Node;
+    // bind so `this` stays the global object.
+    if (!fetchImpl && typeof globalThis.fetch !== 'function') throw new TypeError('CmsFetchTransport needs fetch: none is available here, pass a fetch implementation.');
+
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+
+  }
+
+  static serialize(data = {}) {
+
+  /**
+   * Form-encodes a flat params object.
+   * Arrays become repeated keys, null/undefined become empty strings.
+   *
+   * @param {object} data
+   * @returns {string}
+   */
+
+    let params = new URLSearchParams();
+
+    for (let [key, value] of Object.entries(data)) {
+
+      for (let entry of (Array.isArray(value) ? value : [value])) {
+
+        if (typeof entry === 'function') entry = entry();
+
+        params.append(key, entry ?? '');
+
+      }
+
+    }
+
+    return params.toString();
+
   }
 
+  static formData(data = {}) {
+
   /**
-   * Calls the [/files/wysiwyg_info] endpoint
-   *
-   * Get WYSIWYG info. (Level 9+ or have group access)
+   * Builds multipart form data. Binary values become file parts named after the
+   * File, the `name` param or the key; arrays become repeated parts.
    *
-   * @param {Object} data Parameters for the API call.
-   * @returns {*} Response from the CMS API.
+   * @param {object} data
+   * @returns {FormData}
    */
-  files_wysiwyg_info(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/files/wysiwyg_info', config);
-  }
 
+    let form = new FormData();
 
-  // ========== /groups ==========
+    for (let [key, value] of Object.entries(data)) {
 
-  /**
-   * Calls the [/groups/list] endpoint
-   *
-   * Returns a list of group information. (All user levels)
-   */
-  groups_list(config = {}) {
-    return this.get('/groups/list', config);
-  }
+      for (let entry of (Array.isArray(value) ? value : [value])) {
 
-  /**
-   * Calls the [/groups/view] endpoint
-   *
-   * Returns group information for the specified group. (Level 10+ only)
-   */
-  groups_view(config = {}) {
-    return this.get('/groups/view', config);
-  }
+        if (entry instanceof Blob) form.append(key, entry, entry.name || data.name || key);
 
-  // ========== /reports ==========
+        else if (CmsApi.isBinary(entry)) form.append(key, new Blob([entry]), data.name || key);
 
-  /**
-   * Calls the [/reports] endpoint
-   *
-   * Custom reports. (Level 9+ only)
-   */
-  reports_custom(config = {}) {
-    if (config.all === undefined) config.all = true;
-    if (!config.site) config.site = this.site;
-    return this.get('/reports', config);
-  }
+        else form.append(key, entry ?? '');
+
+      }
+
+    }
+
+    return form;
 
-  /**
-   * Calls the [/reports/subscribers] endpoint
-   *
-   * Get dependency tag subscribers. (Level 9+ only)
-   */
-  reports_subscribers(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/reports/subscribers', config);
   }
 
-  // ========== /sites ==========
+  static byteLength(text = '') {
 
   /**
-   * Calls the [/sites/advanced_search] endpoint
-   *
-   * Advanced global search. (All user levels)
+   * Size of a response body in bytes (UTF-8).
    */
-  sites_advanced_search(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/sites/advanced_search', config);
+
+    return new TextEncoder().encode(text).length;
+
   }
 
+  static parse(text) {
+
   /**
-   * Calls the [/sites/basic_search] endpoint
-   *
-   * Basic global search. (All user levels)
+   * Most endpoints answer JSON; anything else (e.g. file source) stays text.
    */
-  sites_basic_search(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/sites/basic_search', config);
+
+    try { return JSON.parse(text); } catch (e) { return text; }
+
   }
 
+  async send(request) {
+
   /**
-   * Calls the [/sites/findreplace] endpoint
+   * Sends one request. GET params go in the query string; POST params are
+   * sent as an urlencoded body, or as multipart form data when they hold
+   * binary values (see sendMultipart()).
    *
-   * Start a find and replace job. (Level 10+ only)
+   * @param {object} request - { method, url, data, headers, signal, onProgress }
+   * @returns {Promise<object>} transport response
    */
-  sites_findreplace(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/sites/findreplace', config);
+
+    if (request.method !== 'GET' && CmsApi.hasBinary(request.data)) return this.sendMultipart(request);
+
+    let url = request.url;
+
+    let params = CmsFetchTransport.serialize(request.data);
+
+    let init = { method : request.method, headers : { ...request.headers }, signal : request.signal };
+
+    if (request.method === 'GET') {
+
+      if (params) url += `${url.includes('?') ? '&' : '?'}${params}`;
+
+    }
+
+    else {
+
+      init.headers['Content-Type'] = 'application/x-www-form-urlencoded; charset=UTF-8';
+      init.body = params;
+
+    }
+
+    let response = await this.fetch(url, init);
+
+    let text = await response.text();
+
+    return {
+
+      ok : response.ok,
+      status : response.status,
+      statusText : response.statusText,
+      data : CmsFetchTransport.parse(text),
+      headers : Object.fromEntries(response.headers.entries()),
+      raw : response,
+      bytes : CmsFetchTransport.byteLength(text),
+
+    };
+
   }
 
+  sendMultipart(request) {
+
   /**
-   * Calls the [/sites/findreplacestatus] endpoint
+   * Sends multipart form data through XMLHttpRequest, because fetch() cannot
+   * report upload progress. Progress goes to `request.onProgress({ loaded, total })`.
    *
-   * Returns find and replace status for a specified find and replace job. (Level 10+ only and must the owner of the find and replace job)
+   * @param {object} request - { method, url, data, headers, signal, onProgress }
+   * @returns {Promise<object>} transport response
    */
-  sites_findreplacestatus(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/sites/findreplacestatus', config);
+
+    return new Promise((resolve, reject) => {
+
+      let xhr = new XMLHttpRequest();
+
+      xhr.open(request.method, request.url);
+
+      // The browser sets the multipart Content-Type (with its boundary) itself.
+      for (let [key, value] of Object.entries(request.headers || {})) xhr.setRequestHeader(key, value);
+
+      if (request.onProgress) xhr.upload.addEventListener('progress', event => request.onProgress({
+
+        loaded : event.loaded,
+        total : (event.lengthComputable) ? event.total : null,
+
+      }));
+
+      xhr.addEventListener('load', () => resolve({
+
+        ok : xhr.status >= 200 && xhr.status < 300,
+        status : xhr.status,
+        statusText : xhr.statusText,
+        data : CmsFetchTransport.parse(xhr.responseText),
+        headers : CmsJqueryTransport.parseHeaders(xhr),
+        raw : xhr,
+        bytes : CmsFetchTransport.byteLength(xhr.responseText),
+
+      }));
+
+      xhr.addEventListener('error', () => reject(new Error('Network error')));
+
+      xhr.addEventListener('abort', () => reject(new DOMException('The request was aborted.', 'AbortError')));
+
+      if (request.signal) request.signal.addEventListener('abort', () => xhr.abort(), { once : true });
+
+      xhr.send(CmsFetchTransport.formData(request.data));
+
+    });
+
   }
 
+}
+
+class CmsJqueryTransport {
+
+/**
+ * CmsJqueryTransport
+ * Compatibility transport built on jQuery.ajax (the original CmsApi behaviour).
+ */
+
+  static parseHeaders(jqXHR) {
+
   /**
-   * Calls the [/sites/list] endpoint
-   *
-   * Returns a list of sites for an account. (All user levels)
+   * Converts the raw response header block into a lowercase-keyed object.
    */
-  sites_list(config = {}) {
-    if (!config.account) config.account = this.account;
-    return this.get('/sites/list', config);
+
+    let headers = {};
+
+    for (let line of (jqXHR.getAllResponseHeaders() || '').trim().split(/[\r\n]+/)) {
+
+      let index = line.indexOf(':');
+
+      if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+
+    }
+
+    return headers;
+
   }
 
+  send(request) {
+
   /**
-   * Calls the [/sites/publish] endpoint
+   * Sends one request through $.ajax.
    *
-   * Publish an entire site. (Level 10+ only)
+   * @param {object} request - { method, url, data, headers, signal, onProgress }
+   * @returns {Promise<object>} transport response
    */
-  sites_publish(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/sites/publish', config);
+
+    const toResponse = (ok, jqXHR, data) => ({
+
+      ok,
+      status : jqXHR.status,
+      statusText : jqXHR.statusText,
+      data,
+      headers : CmsJqueryTransport.parseHeaders(jqXHR),
+      raw : jqXHR,
+      bytes : CmsFetchTransport.byteLength(jqXHR.responseText),
+
+    });
+
+    let settings = {
+
+      type : request.method,
+      url : request.url,
+      headers : request.headers,
+
+    };
+
+    // $.param() would stringify binary values (a full copy of the file); send multipart form data instead.
+    if (request.method !== 'GET' && CmsApi.hasBinary(request.data)) {
+
+      Object.assign(settings, {
+
+        data : CmsFetchTransport.formData(request.data),
+        processData : false,
+        contentType : false,
+
+        xhr : () => {
+
+          let xhr = $.ajaxSettings.xhr();
+
+          if (request.onProgress) xhr.upload.addEventListener('progress', event => request.onProgress({
+
+            loaded : event.loaded,
+            total : (event.lengthComputable) ? event.total : null,
+
+          }));
+
+          return xhr;
+
+        },
+
+      });
+
+    }
+
+    // $.param(data, true) uses "traditional" param serialization when true.
+    // This is important when sending arrays / nested objects.
+    else settings.data = $.param(request.data, true);
+
+    return new Promise((resolve, reject) => {
+
+      let jqXHR = $.ajax(settings)
+
+        .done((data, status, jqXHR) => resolve(toResponse(true, jqXHR, data)))
+
+        .fail((jqXHR, status, error) => {
+
+          // Status 0 means no response was received at all.
+          if (jqXHR.status === 0) reject(new Error(error || status || 'Network error'));
+
+          else resolve(toResponse(false, jqXHR, jqXHR.responseJSON ?? jqXHR.responseText));
+
+        });
+
+      // jqXHR.abort() triggers .fail() with status 0, which rejects above.
+      if (request.signal) request.signal.addEventListener('abort', () => jqXHR.abort(), { once : true });
+
+    });
+
   }
 
-  /**
-   * Calls the [/sites/quicksearch] endpoint
-   *
-   * Quick Search. (All user levels)
-   */
-  sites_quicksearch(config = {}) {
-    if (!config.site) config.site = this.site;
-    if (!config.count) config.count = 1000;
-    return this.get('/sites/quicksearch', config);
+}
+
+class CmsRecordingTransport {
+
+/**
+ * CmsRecordingTransport
+ * Wraps another transport and records every exchange, so a user's session can
+ * be replayed later with CmsReplayTransport.
+ *
+ *   let recorder = new CmsRecordingTransport(api.transport);
+ *   api.transport = recorder;
+ *   ...
+ *   recorder.export(); // JSON fixture
+ *
+ * Tokens never reach the fixture: `authorization_token` is dropped from the params,
+ * the token string is masked anywhere in the responses, and secret-looking
+ * params/headers (see CmsApi.secretKeys) become '[REDACTED]'.
+ */
+
+  constructor(transport = new CmsFetchTransport()) {
+
+    this.transport = transport;
+
+    this.exchanges = [];
+
+    this.started = new Date().toISOString();
+
   }
 
+  async send(request) {
+
   /**
-   * Calls the [/sites/revert] endpoint
-   *
-   * This action will remove all Dependency Manager tags from all staging files on site, replacing them with URL type links. (Level 10+ only)
+   * Forwards the request, records the response (or the network failure) and
+   * passes it back unchanged.
    */
-  sites_revert(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/sites/revert', config);
+
+    let started = Date.now();
+
+    let token = request.headers?.['X-Auth-Token'] || request.data?.authorization_token;
+
+    let { authorization_token, ...params } = request.data || {};
+
+    for (let [key, value] of Object.entries(params)) params[key] = CmsApi.describeBinary(value);
+
+    let exchange = {
+
+      method : request.method,
+      endpoint : new URL(request.url).pathname,
+      params : CmsApi.redact(params, [token], Infinity),
+
+    };
+
+    this.exchanges.push(exchange);
+
+    try {
+
+      let response = await this.transport.send(request);
+
+      Object.assign(exchange, {
+
+        status : response.status,
+        statusText : response.statusText,
+        data : CmsApi.redact(response.data, [token], Infinity),
+        headers : CmsApi.redact(response.headers, [token], Infinity),
+        bytes : response.bytes,
+
+      });
+
+      return response;
+
+    }
+
+    catch (error) {
+
+      exchange.error = CmsApi.redact(error.message, [token]);
+
+      throw error;
+
+    }
+
+    finally {
+
+      exchange.ms = Date.now() - started;
+
+    }
+
   }
 
+  fixture() {
+
   /**
-   * Calls the [/sites/scan] endpoint
-   *
-   * Start a dependency manager scan on a site. (Level 10+ only)
+   * @returns {object} { version, started, recorded, exchanges : [{ method, endpoint, params, status, statusText, data, headers, bytes, ms }] }
    */
-  sites_scan(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/sites/scan', config);
+
+    return {
+
+      version : 1,
+      started : this.started,
+      recorded : new Date().toISOString(),
+      exchanges : this.exchanges,
+
+    };
+
   }
 
+  export(space = 2) {
+
   /**
-   * Calls the [/sites/sitemap] endpoint
-   *
-   * Generate and publish sitemap.xml to production. (Level 10+ only)
+   * The fixture as JSON (see fixture()).
    */
-  sites_sitemap(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.post('/sites/sitemap', config);
+
+    return JSON.stringify(this.fixture(), null, space);
+
   }
 
-  /**
-   * Calls the [/sites/targets] endpoint
-   *
-   * Returns a list of publish target names for the specified site. (All user levels)
-   */
-  sites_targets(config = {}) {
-    if (!config.site) config.site = this.site;
-    return this.get('/sites/targets', config);
+  clear() {
+
+    this.exchanges = [];
+
   }
 
-  /**
-   * Calls the [/sites/view] endpoint
-   *
-   * Returns site information for the specified site. (Level 10+ only)
-   */
-  sites_view(config = {}) {
-    if (!config.account) config.account = this.account;
-    if (!config.site) config.site = this.site;
-    return this.get('/sites/view', config);
+}
+
+class CmsReplayTransport {
+
+/**
+ * CmsReplayTransport
+ * Answers requests from a CmsRecordingTransport fixture instead of the network.
+ *
+ * Matching (`match` option):
+ *   - 'params'   : method, endpoint and every param (default)
+ *   - 'endpoint' : method and endpoint only
+ *   - [names]    : method, endpoint and the listed params
+ *   - function   : (exchange, request) => boolean, request being { method, endpoint, params }
+ * Params in `ignore` are never compared (the auth token never is), nor are params the
+ * recording redacted (passwords and other CmsApi.secretKeys).
+ *
+ * Each recorded exchange answers once, in order; when every match has been used the
+ * last one answers again (polling, repeated reads), unless `strict : true` is set.
+ * Unmatched requests go to the `fallback` transport when one is given, otherwise they
+ * fail with a 501 REPLAY_UNMATCHED response naming the closest recorded requests.
+ */
+
+  constructor(fixture, { match = 'params', ignore = [], strict = false, fallback = null } = {}) {
+
+    if (typeof fixture === 'string') fixture = JSON.parse(fixture);
+
+    this.exchanges = (Array.isArray(fixture) ? fixture : fixture.exchanges || []).map(exchange => ({ ...exchange, used : false }));
+
+    this.match = match;
+    this.ignore = ignore;
+    this.strict = strict;
+    this.fallback = fallback;
+
+    // Requests that found no recorded exchange: { method, endpoint, params }.
+    this.unmatched = [];
+
   }
 
-  // ========== /tag ==========
+  static canonical(params = {}, names = null, ignore = []) {
 
   /**
-   * Calls the [/tag/list] endpoint
-   *
-   * Fetch a list of tags. (All user levels)
+   * Params as a comparable string: sorted keys, values serialized like the fetch
+   * transport sends them (so recorded JSON and live objects compare equal).
+   * Binary values compare by their CmsApi.describeBinary() description.
    */
-  tag_list(config = {}) {
-    return this.get('/tag/list', config);
+
+    const value = entry => (entry && typeof entry === 'object') ? JSON.stringify(CmsApi.describeBinary(entry)) : entry;
+
+    let keys = Object.keys(params)
+
+      .filter(key => key !== 'authorization_token' && !ignore.includes(key))
+
+      .filter(key => !names || names.includes(key))
+
+      .sort();
+
+    return CmsFetchTransport.serialize(Object.fromEntries(keys.map(key => [key, [params[key]].flat().map(value)])));
+
   }
 
-  // ========== /users ==========
+  matches(exchange, request) {
+
+    if (typeof this.match === 'function') return !!this.match(exchange, request);
+
+    if (exchange.method !== request.method || exchange.endpoint !== request.endpoint) return false;
+
+    if (this.match === 'endpoint') return true;
+
+    let names = Array.isArray(this.match) ? this.match : null;
+
+    // Secret params were recorded as '[REDACTED]' (passwords, ...); their live values can't match.
+    let redacted = Object.keys(exchange.params || {}).filter(key => CmsApi.secretKeys.test(key) && exchange.params[key] === '[REDACTED]');
+
+    let ignore = [...this.ignore, ...redacted];
+
+    return CmsReplayTransport.canonical(exchange.params, names, ignore) === CmsReplayTransport.canonical(request.params, names, ignore);
 
-  /**
-   * Calls the [/users/delete] endpoint
-   *
-   * Deletes one or more users in an account. (Level 10+ only)
-   */
-  users_delete(config = {}) {
-    return this.post('/users/delete', config);
   }
 
+  async send(request) {
+
   /**
-   * Calls the [/users/groups] endpoint
-   *
-   * Returns user information for the specified user. If you are non-admin user, only your own user info gets returned. (All user levels)
+   * Resolves with the recorded response; rejects when the recorded exchange was a
+   * network failure or `request.signal` is already aborted.
    */
-  users_groups(config = {}) {
-    if (!config.user) config.user = this.user;
-    return this.get('/users/groups', config);
+
+    if (request.signal?.aborted) throw new DOMException('The request was aborted.', 'AbortError');
+
+    let { authorization_token, ...params } = request.data || {};
+
+    let incoming = { method : request.method, endpoint : new URL(request.url).pathname, params };
+
+    let candidates = this.exchanges.filter(exchange => this.matches(exchange, incoming));
+
+    let exchange = candidates.find(candidate => !candidate.used) || (!this.strict && candidates[candidates.length - 1]);
+
+    if (!exchange) {
+
+      this.unmatched.push(incoming);
+
+      if (this.fallback) return this.fallback.send(request);
+
+      return this.miss(incoming, candidates.length > 0);
+
+    }
+
+    exchange.used = true;
+
+    if (exchange.error !== undefined) throw new Error(exchange.error);
+
+    return {
+
+      ok : exchange.status >= 200 && exchange.status < 300,
+      status : exchange.status,
+      statusText : exchange.statusText || '',
+      data : structuredClone(exchange.data ?? null),
+      headers : { ...exchange.headers },
+      raw : exchange,
+      bytes : exchange.bytes,
+
+    };
+
   }
 
+  miss(request, exhausted) {
+
   /**
-   * Calls the [/users/list] endpoint
-   *
-   * Returns a list of user information. (All user levels)
+   * The error response for an unmatched request.
    */
-  users_list(config = {}) {
-    return this.get('/users/list', config);
+
+    const describe = item => {
+
+      let params = decodeURIComponent(CmsReplayTransport.canonical(CmsApi.redact(item.params, [], Infinity)).replace(/\+/g, ' '));
+
+      return `${item.method} ${item.endpoint} ${params || '(no params)'}`;
+
+    };
+
+    let closest = this.exchanges.filter(exchange => exchange.endpoint === request.endpoint).slice(0, 3);
+
+    let error = (exhausted) ?
+      `Every recorded response for ${describe(request)} was already replayed (strict mode)` :
+      `No recorded response for ${describe(request)}`;
+
+    if (!exhausted) error += (closest.length) ? `; recorded for this endpoint: ${closest.map(describe).join(' | ')}` : '; nothing was recorded for this endpoint';
+
+    return {
+
+      ok : false,
+      status : 501,
+      statusText : 'Not Recorded',
+      data : { error, code : 'REPLAY_UNMATCHED' },
+      headers : {},
+      raw : null,
+
+    };
+
   }
 
+  pending() {
+
   /**
-   * Calls the [/users/view] endpoint
-   *
-   * Returns user information for the specified user. If you are non-admin user, only your own user info gets returned. (All user levels)
+   * Recorded exchanges that were never replayed (useful to assert a replay ran to the end).
    */
-  users_view(config = {}) {
-    if (!config.user) config.user = this.user;
-    return this.get('/users/view', config);
+
+    return this.exchanges.filter(exchange => !exchange.used);
+
   }
+
 }
@@ -0,0 +1,223 @@
+/**
+ * cms-fake-check.js
+ *
+ * @author Louis Vulpes
+ * @copyright Missouri State University 2024-2026
+ */
+
+
+/**
+ * Drives CmsApi through CmsFakeBackend and reports every disagreement, so the fake
+ * cannot drift from the endpoint registry (or from what CmsApi expects) unnoticed.
+ *
+ * From a checkout, with Node 20+ (loads cms-api.js and cms-fake.js itself):
+ *
+ *   node _lib/cms-fake-check.js
+ *
+ * In a browser, load it after cms-api.js and cms-fake.js, then in the console:
+ *
+ *   await runFakeBackendChecks();
+ */
+
+const FAKE_CHECKS = {
+
+  'every fake route is a registry endpoint' : async () => {
+
+    let registry = fakeCheckRegistry();
+
+    let unknown = Object.keys(CmsFakeBackend.routes).filter(route => !registry.includes(route));
+
+    fakeCheckAssert(unknown.length === 0, `routes without a registry endpoint: ${unknown.join(', ')}`);
+
+  },
+
+  'every registry endpoint is routed or listed as unimplemented' : async () => {
+
+    // Components share one handler (see CmsFakeBackend.handle())
+    let routed = route => CmsFakeBackend.routes[route] || route.split(' ')[1].startsWith('/rs/components');
+
+    let missing = fakeCheckRegistry().filter(route => !routed(route) && !CmsFakeBackend.unimplemented.includes(route));
+
+    fakeCheckAssert(missing.length === 0, `no fake handler: ${missing.join(', ')} (add a route or list it in CmsFakeBackend.unimplemented)`);
+
+    let stale = CmsFakeBackend.unimplemented.filter(route => routed(route) || !fakeCheckRegistry().includes(route));
+
+    fakeCheckAssert(stale.length === 0, `listed as unimplemented but routed or unknown: ${stale.join(', ')}`);
+
+  },
+
+  'unimplemented endpoints answer NOT_IMPLEMENTED' : async ({ fake }) => {
+
+    for (let route of CmsFakeBackend.unimplemented) {
+
+      let [method, endpoint] = route.split(' ');
+
+      let { status, data } = fake.handle(method, endpoint, { authorization_token : fake.token });
+
+      fakeCheckAssert(status === 501 && data.code === 'NOT_IMPLEMENTED', `${route} answered ${status} ${data.code}`);
+
+    }
+
+  },
+
+  'listings and settings round-trip' : async ({ api }) => {
+
+    let list = await api.files_list({ path : '/' });
+
+    fakeCheckAssert(list.entries.some(entry => entry.staging_path === '/index.pcf'), 'files_list of / has no /index.pcf');
+
+    await api.files_settings({ path : '/index.pcf', access : 'Web Editors' }, 'POST');
+
+    let settings = await api.files_settings({ path : '/index.pcf' });
+
+    fakeCheckAssert(settings.access === 'Web Editors', `files_settings read back access ${settings.access}`);
+
+  },
+
+  'fail() is retried when retriable and surfaces when not' : async ({ api, fake }) => {
+
+    fake.fail('/files/list', { code : 'TIMEOUT' });
+
+    await api.files_list({ path : '/' });
+
+    let attempts = fake.requests.filter(request => request.endpoint === '/files/list').length;
+
+    fakeCheckAssert(attempts === 2, `expected one retry of files_list, saw ${attempts} requests`);
+
+    fake.fail('/files/info', { status : 404, code : 'NOT_FOUND' });
+
+    let error = await api.files_info({ path : '/index.pcf' }).then(() => null, error => error);
+
+    fakeCheckAssert(error instanceof CmsApiError && error.code === 'NOT_FOUND', `expected a NOT_FOUND CmsApiError, got ${error}`);
+
+  },
+
+  'expireSession() is recovered through refreshToken' : async ({ api, fake }) => {
+
+    let refreshed = 0;
+
+    api.refreshToken = async () => (refreshed++, fake.token);
+
+    fake.expireSession();
+
+    await api.files_list({ path : '/' });
+
+    fakeCheckAssert(refreshed === 1, `expected one token refresh, saw ${refreshed}`);
+
+  },
+
+  'runSchedules() publishes scheduled pages' : async ({ api, fake, now }) => {
+
+    let date = new Date(now.getTime() + 86_400_000).toISOString();
+
+    await api.files_schedule({ path : '/about/index.pcf', date });
+
+    fakeCheckAssert(fake.runSchedules(now).length === 0, 'a job ran before its date');
+
+    let ran = fake.runSchedules(new Date(date));
+
+    fakeCheckAssert(ran.length === 1 && ran[0].action === 'publish', `expected one publish job, ran ${ran.length}`);
+
+    fakeCheckAssert(fake.node('www', '/about/index.pcf').published.www === now.toISOString(), '/about/index.pcf was not published to www');
+
+    let jobs = await api.files_scheduled({ path : '/about/index.pcf' });
+
+    fakeCheckAssert(jobs.length === 0, `${jobs.length} jobs still scheduled after running`);
+
+  },
+
+};
+
+function fakeCheckAssert(condition, message) {
+
+/**
+ * Throws `message` when `condition` is falsy.
+ */
+
+  if (!condition) throw new Error(message);
+
+}
+
+function fakeCheckRegistry() {
+
+/**
+ * Every "METHOD /path" CmsApi.endpoints declares.
+ */
+
+  return Object.values(CmsApi.endpoints).flatMap(spec => [spec.method].flat().map(method => `${method} ${spec.path}`));
+
+}
+
+async function runFakeBackendChecks({ log = console.log } = {}) {
+
+/**
+ * Runs every check against a fresh fake and API (fixed clock, no retry delay).
+ *
+ * @param {Object} [options] - { log } receives one line per check
+ * @returns {Promise<Object>} { passed, failed, results : [{ name, ok, error }] }
+ */
+
+  let results = [];
+
+  for (let [name, check] of Object.entries(FAKE_CHECKS)) {
+
+    let now = new Date('2030-01-01T00:00:00Z');
+
+    let fake = new CmsFakeBackend({ clock : () => now });
+
+    let api = new CmsApi({
+
+      transport : fake,
+      account : fake.account,
+      site : 'www',
+      user : fake.user,
+      token : fake.token,
+      retry : { delay : 1, jitter : 0 },
+      logLevel : 'silent',
+
+    });
+
+    try {
+
+      await check({ api, fake, now });
+
+      results.push({ name, ok : true });
+
+      log(`ok - ${name}`);
+
+    }
+
+    catch (error) {
+
+      results.push({ name, ok : false, error });
+
+      log(`not ok - ${name}: ${error.message}`);
+
+    }
+
+  }
+
+  let failed = results.filter(result => !result.ok).length;
+
+  return { passed : results.length - failed, failed, results };
+
+}
+
+// Run directly with Node: load the libraries into this realm, then exit non-zero on failures.
+if (typeof require === 'function' && typeof module === 'object' && require.main === module) {
+
+  const fs = require('fs');
+  const path = require('path');
+  const vm = require('vm');
+
+  for (let file of ['cms-api.js', 'cms-fake.js']) vm.runInThisContext(fs.readFileSync(path.join(__dirname, file), 'utf8'), { filename : file });
+
+  runFakeBackendChecks().then(({ passed, failed }) => {
+
+    console.log(`${passed} passed, ${failed} failed`);
+
+    process.exitCode = (failed) ? 1 : 0;
+
+  });
+
+}
@@ -0,0 +1,2170 @@
+/**
+ * cms-fake.js
+ *
+ * @author Louis Vulpes
+ * @copyright Missouri State University 2024-2026
+ */
+
+
+class CmsFakeBackend {
+
+/**
+ * CmsFakeBackend
+ * In-memory stand-in for the Omni CMS API, for testing gadgets without a CMS account.
+ *
+ * It is a CmsApi transport (see CmsApi.createTransport()):
+ *
+ *   const fake = new CmsFakeBackend();
+ *   gadget.token = fake.token;
+ *   api = new CmsApi({ transport : fake });
+ *
+ * State lives in plain objects (`fake.sites`, `fake.users`, `fake.groups`) seeded from
+ * CmsFakeBackend.fixture() or the `fixture` option, so tests can read and change it
+ * directly. Responses mimic the shapes gadget-common.js relies on; endpoints without
+ * a handler answer 501 NOT_IMPLEMENTED. Uploaded binaries keep only their name, type
+ * and size (see CmsApi.describeBinary()); text uploads become the file source.
+ *
+ * Errors use the CMS body format ({ error, code }):
+ *   - SESSION_NOT_FOUND : the token is not the current one (see expireSession())
+ *   - NOT_FOUND         : unknown site, path, user or group
+ *   - LOCKED            : the file or asset is checked out by someone else
+ *   - NOT_CHECKED_OUT   : assets_save on an asset the session user has not checked out
+ *   - NOT_PENDING       : approve/decline a page that is not waiting for approval
+ *   - NOT_APPROVER      : approve/decline a page waiting for someone else
+ *   - INVALID_DATE      : schedule/expire with an unparseable date
+ *   - EXISTS            : copy/move/rename/new folder onto an existing path without overwrite
+ *   - TIMEOUT (or any)  : injected with fail()
+ */
+
+  // Handler method per "METHOD /endpoint". Components use the '/rs/components' prefix (see handle()).
+  static routes = {
+
+    'POST /assets/checkin' : 'assetsCheckin',
+    'POST /assets/checkout' : 'assetsCheckout',
+    'POST /assets/copy' : 'assetsCopy',
+    'POST /assets/delete' : 'assetsDelete',
+    'GET /assets/dependents' : 'assetsDependents',
+    'GET /assets/list' : 'assetsList',
+    'GET /assets/log' : 'assetsLog',
+    'POST /assets/new' : 'assetsNew',
+    'POST /assets/publish' : 'assetsPublish',
+    'POST /assets/rename' : 'assetsRename',
+    'POST /assets/restore' : 'assetsRestore',
+    'POST /assets/revert' : 'assetsRevert',
+    'POST /assets/save' : 'assetsSave',
+    'GET /assets/settings' : 'assetsSettings',
+    'POST /assets/settings' : 'saveAssetsSettings',
+    'GET /assets/versions' : 'assetsVersions',
+    'GET /assets/view' : 'assetsView',
+    'GET /directories/settings' : 'directoriesSettings',
+    'POST /directories/settings' : 'saveDirectoriesSettings',
+    'POST /files/backup' : 'filesBackup',
+    'GET /files/brokenpages' : 'emptyList',
+    'GET /files/checkedout' : 'filesCheckedout',
+    'POST /files/checkin' : 'filesCheckin',
+    'POST /files/checkout' : 'filesCheckout',
+    'GET /files/content' : 'filesContent',
+    'POST /files/copy' : 'filesCopy',
+    'POST /files/delete' : 'filesDelete',
+    'GET /files/dependencies' : 'filesDependencies',
+    'GET /files/dependency' : 'filesDependency',
+    'GET /files/dependents' : 'emptyList',
+    'GET /files/dirtypages' : 'filesDirtypages',
+    'POST /files/expire' : 'filesExpire',
+    'GET /files/info' : 'filesInfo',
+    'GET /files/list' : 'filesList',
+    'GET /files/locked' : 'filesLocked',
+    'GET /files/log' : 'filesLog',
+    'POST /files/move' : 'filesMove',
+    'POST /files/multipublish' : 'filesPublish',
+    'POST /files/new_folder' : 'filesNewFolder',
+    'GET /files/products' : 'filesProducts',
+    'GET /files/properties' : 'filesProperties',
+    'POST /files/properties' : 'saveFilesProperties',
+    'POST /files/publish' : 'filesPublish',
+    'POST /files/recycle' : 'filesRecycle',
+    'POST /files/rename' : 'filesRename',
+    'POST /files/revert' : 'filesRevert',
+    'POST /files/save' : 'filesSave',
+    'POST /files/scan' : 'ok',
+    'POST /files/schedule' : 'filesSchedule',
+    'GET /files/scheduled' : 'filesScheduled',
+    'GET /files/settings' : 'filesSettings',
+    'POST /files/settings' : 'saveFilesSettings',
+    'GET /files/source' : 'filesSource',
+    'GET /files/subscribers' : 'emptyList',
+    'POST /files/unschedule' : 'filesUnschedule',
+    'POST /files/upload' : 'filesUpload',
+    'GET /files/versions' : 'filesVersions',
+    'GET /files/view' : 'filesInfo',
+    'POST /groups/add' : 'groupsAdd',
+    'GET /groups/list' : 'groupsList',
+    'POST /groups/save' : 'groupsSave',
+    'GET /groups/view' : 'groupsView',
+    'GET /reports' : 'reports',
+    'GET /reports/subscribers' : 'emptyRecords',
+    'POST /sites/findreplace' : 'sitesFindreplace',
+    'GET /sites/findreplacestatus' : 'sitesFindreplacestatus',
+    'GET /sites/list' : 'sitesList',
+    'POST /sites/publish' : 'sitesPublish',
+    'GET /sites/quicksearch' : 'sitesQuicksearch',
+    'GET /sites/scan' : 'ok',
+    'GET /sites/targets' : 'sitesTargets',
+    'GET /sites/view' : 'sitesView',
+    'GET /tag/list' : 'emptyList',
+    'POST /users/add' : 'usersAdd',
+    'POST /users/delete' : 'usersDelete',
+    'GET /users/groups' : 'usersGroups',
+    'GET /users/list' : 'usersList',
+    'POST /users/save' : 'usersSave',
+    'GET /users/view' : 'usersView',
+    'POST /workflow/approve' : 'workflowApprove',
+    'POST /workflow/decline' : 'workflowDecline',
+    'GET /workflow/list' : 'workflowList',
+    'POST /workflow/submit' : 'workflowSubmit',
+
+  };
+
+  // Registry endpoints the fake leaves out on purpose (they answer 501 NOT_IMPLEMENTED).
+  // cms-fake-check.js fails when CmsApi.endpoints has one that is neither routed nor listed here.
+  static unimplemented = [
+
+    'POST /files/dm_revert',
+    'GET /files/wysiwyg_info',
+    'GET /sites/advanced_search',
+    'GET /sites/basic_search',
+    'POST /sites/revert',
+    'POST /sites/sitemap',
+
+  ];
+
+  // Settings every file starts with (files_settings); directories add the keys below.
+  static fileSettings = {
+
+    access : '',
+    approver : '',
+    enforce_approver : false,
+    exclude_orphan : false,
+    feed : '',
+    no_publish : false,
+    no_search : false,
+    no_sitemap : false,
+    publishers : '',
+    toolbar : '',
+    tracking_enabled : false,
+    url_type : '',
+
+  };
+
+  static directorySettings = {
+
+    extensions : '',
+    image_size_set : '',
+    negate_extensions : false,
+    template_group : '',
+    webhooks : '',
+
+  };
+
+  static fixture() {
+
+  /**
+   * Default seed data: one site with a few pages, a dev site, three users and two groups.
+   * Files are keyed by staging path; parent directories are created automatically.
+   */
+
+    return {
+
+      account : 'missouristate',
+
+      users : [
+
+        { username : 'admin', first_name : 'Ada', last_name : 'Admin', level : 10, email : 'admin@example.edu' },
+        { username : 'editor', first_name : 'Eddie', last_name : 'Editor', level : 6, email : 'editor@example.edu' },
+        { username : 'author', first_name : 'Ann', last_name : 'Author', level : 1, email : 'author@example.edu' },
+
+      ],
+
+      groups : [
+
+        { name : 'Everyone', members : ['admin', 'editor', 'author'] },
+        { name : 'Web Editors', members : ['admin', 'editor'] },
+
+      ],
+
+      sites : [
+
+        {
+          name : 'www',
+          url : 'https://www.example.edu/',
+          targets : ['www', 'www-staging'],
+          directories : {
+            '/about' : { access : 'Web Editors' },
+            '/_resources' : { no_publish : true },
+          },
+          files : {
+            '/index.pcf' : { title : 'Home', source : '<h1>Welcome</h1>\n<main><p>Hello <a href="/about/">about us</a>.</p></main>' },
+            '/about/index.pcf' : { title : 'About', source : '<h1>About</h1>\n<main><p>About the university.</p></main>' },
+            '/about/history.pcf' : { title : 'History', source : '<h1>History</h1>\n<main><p>Founded long ago.</p></main>' },
+            '/_resources/images/logo.png' : { source : '' },
+            '/_resources/docs/catalog.pdf' : { source : '' },
+          },
+          assets : [
+            { name : 'Footer', type : 'source', content : '<footer>Example University</footer>' },
+          ],
+        },
+
+        {
+          name : 'templates',
+          url : 'https://templates.example.edu/',
+          targets : ['templates'],
+          files : {
+            '/index.pcf' : { title : 'Templates', source : '<h1>Templates</h1>' },
+          },
+        },
+
+      ],
+
+    };
+
+  }
+
+  constructor(options = {}) {
+
+  /**
+   * @param {object} [options]
+   * @param {object} [options.fixture] - seed data (defaults to CmsFakeBackend.fixture())
+   * @param {string} [options.user] - username the session belongs to (default 'admin')
+   * @param {string} [options.token] - the valid token (default 'fake-token')
+   * @param {number} [options.latency] - delay before each response (ms, default 0)
+   * @param {Function} [options.clock] - returns the current Date (for deterministic timestamps)
+   * @param {boolean} [options.paging] - false ignores start/count, like older CMS listings
+   */
+
+    this.user = options.user || 'admin';
+    this.token = options.token || 'fake-token';
+    this.latency = options.latency ?? 0;
+    this.clock = options.clock || (() => new Date());
+    this.paging = options.paging ?? true;
+
+    // Every request received, for assertions: { method, endpoint, params }.
+    this.requests = [];
+
+    // Faults injected with fail(), consumed in order.
+    this.faults = [];
+
+    // Find/replace jobs by id.
+    this.jobs = new Map();
+
+    // Sequence for dependency tags, asset ids and job ids.
+    this.sequence = 0;
+
+    this.seed(options.fixture || CmsFakeBackend.fixture());
+
+  }
+
+  seed(fixture) {
+
+  /**
+   * Replaces all state with `fixture` (see CmsFakeBackend.fixture() for the shape).
+   */
+
+    this.account = fixture.account || 'missouristate';
+
+    this.users = {};
+
+    for (let user of fixture.users || []) this.users[user.username] = { ...user };
+
+    this.groups = {};
+
+    for (let group of fixture.groups || []) this.groups[group.name] = { name : group.name, members : [...group.members || []] };
+
+    this.sites = {};
+
+    // Scheduled publish/expire jobs (files_schedule, files_expire); run them with runSchedules().
+    this.schedules = [];
+
+    for (let site of fixture.sites || []) {
+
+      this.sites[site.name] = {
+
+        name : site.name,
+        url : site.url || `https://${site.name}.example.edu/`,
+        targets : [...site.targets || [site.name]],
+        nodes : new Map(),
+        assets : [],
+
+      };
+
+      this.mkdir(site.name, '/');
+
+      for (let [path, settings] of Object.entries(site.directories || {})) Object.assign(this.mkdir(site.name, path).settings, settings);
+
+      for (let [path, file] of Object.entries(site.files || {})) this.createFile(site.name, path, file);
+
+      for (let asset of site.assets || []) this.createAsset(site.name, asset);
+
+    }
+
+  }
+
+  // ========== TEST CONTROLS ==========
+
+  fail(endpoint, { method, status = 500, code = 'TIMEOUT', error, times = 1 } = {}) {
+
+  /**
+   * Makes the next `times` requests to `endpoint` fail, e.g.
+   * fake.fail('/files/publish', { code : 'TIMEOUT', times : 2 }).
+   *
+   * @param {string} endpoint - API path ('*' matches any)
+   * @param {object} [options] - { method, status, code, error, times }
+   */
+
+    this.faults.push({ endpoint, method, status, code, error : error || `Injected ${code}`, times });
+
+  }
+
+  expireSession() {
+
+  /**
+   * Invalidates the current token: requests carrying it now fail with SESSION_NOT_FOUND.
+   *
+   * @returns {string} the new valid token (hand it out from gadget.getEnvironment() to test recovery)
+   */
+
+    this.token = `fake-token-${++this.sequence}`;
+
+    return this.token;
+
+  }
+
+  runSchedules(now = this.clock()) {
+
+  /**
+   * Runs the scheduled jobs that are due at `now` (publish, or expire from the target)
+   * and removes them. The fake has no timer, so tests call this to "advance" to a date.
+   *
+   * @param {Date} [now]
+   * @returns {Array<object>} the jobs that ran
+   */
+
+    let due = this.schedules.filter(job => new Date(job.date) <= now);
+
+    this.schedules = this.schedules.filter(job => !due.includes(job));
+
+    for (let job of due) {
+
+      if (job.action === 'publish') this.filesPublish({ site : job.site, path : job.path, target : job.target, override : true });
+
+      else this.filesDelete({ site : job.site, path : job.path, target : job.target, remote : true });
+
+    }
+
+    return due;
+
+  }
+
+  // ========== TRANSPORT ==========
+
+  send(request) {
+
+  /**
+   * Transport entry point (see CmsApi.createTransport()).
+   * Resolves with a transport response; rejects only when `request.signal` aborts.
+   *
+   * @param {object} request - { method, url, data, headers, signal }
+   * @returns {Promise<object>}
+   */
+
+    let endpoint = new URL(request.url, 'https://fake.invalid').pathname;
+
+    return new Promise((resolve, reject) => {
+
+      let signal = request.signal;
+
+      const abort = () => {
+
+        clearTimeout(timerId);
+
+        reject(new DOMException('The request was aborted.', 'AbortError'));
+
+      };
+
+      let timerId = setTimeout(() => {
+
+        if (signal) signal.removeEventListener('abort', abort);
+
+        // Uploads arrive in one piece.
+        if (request.onProgress) {
+
+          let total = Object.values(request.data).flat().filter(CmsApi.isBinary).reduce((sum, file) => sum + CmsApi.describeBinary(file).size, 0);
+
+          request.onProgress({ loaded : total, total });
+
+        }
+
+        let { status, data } = this.handle(request.method, endpoint, request.data || {}, request.headers || {});
+
+        resolve({
+
+          ok : status >= 200 && status < 300,
+          status,
+          statusText : (status < 300) ? 'OK' : data.error,
+          data : (data === undefined) ? null : structuredClone(data),
+          headers : { 'content-type' : 'application/json' },
+          raw : null,
+          bytes : CmsFetchTransport.byteLength(JSON.stringify(data ?? null)),
+
+        });
+
+      }, this.latency);
+
+      if (signal) {
+
+        if (signal.aborted) return abort();
+
+        signal.addEventListener('abort', abort, { once : true });
+
+      }
+
+    });
+
+  }
+
+  handle(method, endpoint, params = {}, headers = {}) {
+
+  /**
+   * Runs one request against the in-memory state.
+   *
+   * @returns {{ status : number, data : any }}
+   */
+
+    let { authorization_token, ...rest } = params;
+
+    this.requests.push({ method, endpoint, params : rest });
+
+    let token = authorization_token || headers['X-Auth-Token'];
+
+    if (token !== this.token) return { status : 401, data : { error : 'Session not found.', code : 'SESSION_NOT_FOUND' } };
+
+    let fault = this.faults.find(item => (item.endpoint === '*' || item.endpoint === endpoint) && (!item.method || item.method === method));
+
+    if (fault) {
+
+      if (--fault.times <= 0) this.faults.splice(this.faults.indexOf(fault), 1);
+
+      return { status : fault.status, data : { error : fault.error, code : fault.code } };
+
+    }
+
+    let handler = CmsFakeBackend.routes[`${method} ${endpoint}`];
+
+    if (endpoint.startsWith('/rs/components')) handler = 'components';
+
+    if (!handler) return { status : 501, data : { error : `${method} ${endpoint} is not implemented by the fake CMS.`, code : 'NOT_IMPLEMENTED' } };
+
+    try {
+
+      return { status : 200, data : this[handler](rest, endpoint) };
+
+    }
+
+    catch (error) {
+
+      if (error instanceof CmsFakeFault) return { status : error.status, data : { error : error.message, code : error.code } };
+
+      return { status : 500, data : { error : error.message, code : 'SERVER_ERROR' } };
+
+    }
+
+  }
+
+  // ========== STATE HELPERS ==========
+
+  site(name) {
+
+    let site = this.sites[name];
+
+    if (!site) throw new CmsFakeFault(404, 'NOT_FOUND', `Site not found: ${name}`);
+
+    return site;
+
+  }
+
+  node(siteName, path) {
+
+  /**
+   * @returns {object} the file or directory at `path` (NOT_FOUND otherwise)
+   */
+
+    let node = this.site(siteName).nodes.get(CmsFakeBackend.normalize(path));
+
+    if (!node) throw new CmsFakeFault(404, 'NOT_FOUND', `File not found: ${path}`);
+
+    return node;
+
+  }
+
+  mkdir(siteName, path) {
+
+  /**
+   * Creates the directory at `path` and any missing parents; returns it.
+   */
+
+    path = CmsFakeBackend.normalize(path);
+
+    let nodes = this.site(siteName).nodes;
+
+    if (nodes.has(path)) return nodes.get(path);
+
+    if (path !== '/') this.mkdir(siteName, CmsFakeBackend.parent(path));
+
+    let node = {
+
+      site : siteName,
+      path,
+      is_directory : true,
+      dm_tag : `{{d:${++this.sequence}}}`,
+      settings : { ...CmsFakeBackend.fileSettings, ...CmsFakeBackend.directorySettings, variables : {} },
+      log : [],
+
+    };
+
+    nodes.set(path, node);
+
+    return node;
+
+  }
+
+  createFile(siteName, path, file = {}) {
+
+  /**
+   * Adds a file (parents included) with one initial version; returns it.
+   */
+
+    path = CmsFakeBackend.normalize(path);
+
+    this.mkdir(siteName, CmsFakeBackend.parent(path));
+
+    let node = {
+
+      site : siteName,
+      path,
+      is_directory : false,
+      dm_tag : `{{f:${++this.sequence}}}`,
+      title : file.title || '',
+      source : file.source || '',
+      settings : { ...CmsFakeBackend.fileSettings, ...file.settings },
+      meta_tags : file.meta_tags || [{ name : 'Description', content : '' }, { name : 'Keywords', content : '' }],
+      parameters : file.parameters || [{ name : 'heading', value : file.title || '' }, { name : 'breadcrumb', value : file.title || '' }],
+      tags : file.tags || [],
+      dependencies : file.dependencies || [],
+      locked_by : file.locked_by || '',
+      published : {},
+      dirty : true,
+      versions : [],
+      log : [],
+
+    };
+
+    this.site(siteName).nodes.set(path, node);
+
+    this.addVersion(node, 'Created');
+
+    return node;
+
+  }
+
+  createAsset(siteName, asset = {}) {
+
+  /**
+   * Adds an asset with one initial version; returns it. Its dependency tag is {{a:id}}.
+   */
+
+    let item = {
+
+      id : ++this.sequence,
+      site : siteName,
+      name : asset.name,
+      type : asset.type || 'source',
+      description : asset.description || '',
+      tags : asset.tags || [],
+      content : asset.content || '',
+      settings : { access : '', readers : '', lock_to_site : false, ...asset.settings },
+      locked_by : asset.locked_by || '',
+      deleted : false,
+      published : {},
+      versions : [],
+      log : [],
+
+    };
+
+    this.site(siteName).assets.push(item);
+
+    this.addAssetVersion(item, 'Created');
+
+    return item;
+
+  }
+
+  addAssetVersion(asset, message = '') {
+
+    asset.versions.unshift({
+
+      revision : asset.versions.length + 1,
+      timestamp : this.clock().toISOString(),
+      user : this.user,
+      message,
+      content : asset.content,
+
+    });
+
+  }
+
+  addVersion(node, message = '') {
+
+    node.versions.unshift({
+
+      revision : node.versions.length + 1,
+      timestamp : this.clock().toISOString(),
+      user : this.user,
+      message,
+      source : node.source,
+
+    });
+
+  }
+
+  version(node, revision) {
+
+  /**
+   * A file's version by revision number (NOT_FOUND if there is none).
+   */
+
+    let version = node.versions.find(item => item.revision === Number(revision));
+
+    if (!version) throw new CmsFakeFault(404, 'NOT_FOUND', `Revision not found: ${revision}`);
+
+    return version;
+
+  }
+
+  page(list, params) {
+
+  /**
+   * The start/count slice of a listing (all of it when `this.paging` is off).
+   */
+
+    if (!this.paging) return list;
+
+    let start = Number(params.start) || 0;
+
+    let count = Number(params.count) || list.length;
+
+    return list.slice(start, start + count);
+
+  }
+
+  record(node, action) {
+
+    node.log.unshift({ action, user : this.user, timestamp : this.clock().toISOString() });
+
+  }
+
+  children(siteName, path) {
+
+  /**
+   * Immediate children of the directory at `path`, sorted by name.
+   */
+
+    path = CmsFakeBackend.normalize(path);
+
+    return [...this.site(siteName).nodes.values()]
+
+      .filter(node => node.path !== '/' && CmsFakeBackend.parent(node.path) === path)
+
+      .sort((a, b) => a.path.localeCompare(b.path));
+
+  }
+
+  descendants(siteName, path) {
+
+  /**
+   * Every node under (and including) `path`.
+   */
+
+    path = CmsFakeBackend.normalize(path);
+
+    let prefix = (path === '/') ? '/' : `${path}/`;
+
+    return [...this.site(siteName).nodes.values()].filter(node => node.path === path || node.path.startsWith(prefix));
+
+  }
+
+  unlocked(node) {
+
+  /**
+   * Throws LOCKED when someone other than the session user has the file checked out.
+   */
+
+    if (node.locked_by && node.locked_by !== this.user) throw new CmsFakeFault(409, 'LOCKED', `${node.path ?? node.name} is checked out by ${node.locked_by}.`);
+
+    return node;
+
+  }
+
+  entry(node) {
+
+  /**
+   * A node as a files_list entry.
+   */
+
+    let site = this.sites[node.site];
+
+    return {
+
+      file_name : CmsFakeBackend.basename(node.path) || '/',
+      staging_path : node.path,
+      http_path : `${site.url.replace(/\/$/, '')}${CmsFakeBackend.outputPath(node.path)}`,
+      is_directory : node.is_directory,
+      file_type : (node.is_directory) ? 'dir' : CmsFakeBackend.extension(node.path),
+      dm_tag : node.dm_tag,
+      no_publish : node.settings.no_publish,
+      locked_by : node.locked_by || '',
+      size : (node.is_directory) ? 0 : node.size ?? node.source.length,
+
+    };
+
+  }
+
+  paths(params) {
+
+  /**
+   * The `path` param as an array (path may be a string, an array or a JSON array string).
+   */
+
+    return CmsFakeBackend.list(params.path).map(CmsFakeBackend.normalize);
+
+  }
+
+  static normalize(path = '/') {
+
+    path = `/${String(path)}`.replace(/\/+/g, '/');
+
+    return (path.length > 1) ? path.replace(/\/$/, '') : path;
+
+  }
+
+  static parent(path) {
+
+    let parent = path.slice(0, path.lastIndexOf('/'));
+
+    return parent || '/';
+
+  }
+
+  static basename(path) {
+
+    return path.split('/').pop();
+
+  }
+
+  static extension(path) {
+
+    let name = CmsFakeBackend.basename(path);
+
+    return (name.includes('.')) ? name.split('.').pop().toLowerCase() : '';
+
+  }
+
+  static outputPath(path) {
+
+  /**
+   * Published path of a staging path (pages publish as .html).
+   */
+
+    return path.replace(/\.pcf$/, '.html');
+
+  }
+
+  static list(value) {
+
+  /**
+   * Normalizes array-ish params: arrays, JSON array strings and comma lists.
+   */
+
+    if (value === undefined || value === null || value === '') return [];
+
+    if (Array.isArray(value)) return value;
+
+    if (typeof value === 'string' && value.startsWith('[')) return JSON.parse(value);
+
+    return String(value).split(',').map(item => item.trim()).filter(item => item);
+
+  }
+
+  static flag(value) {
+
+  /**
+   * Reads boolean params the way they arrive (true, 'true', 1, '1', 'on').
+   */
+
+    return value === true || value === 1 || ['true', '1', 'on'].includes(value);
+
+  }
+
+  // ========== ASSETS ==========
+
+  asset(siteName, key, deleted = false) {
+
+  /**
+   * @returns {object} the asset with id or name `key` (NOT_FOUND otherwise); `deleted` looks in the recycle bin
+   */
+
+    let asset = this.site(siteName).assets.find(item => item.deleted === deleted && (String(item.id) === String(key) || item.name === key));
+
+    if (!asset) throw new CmsFakeFault(404, 'NOT_FOUND', `Asset not found: ${key}`);
+
+    return asset;
+
+  }
+
+  assetEntry(asset) {
+
+  /**
+   * An asset as an assets_list entry.
+   */
+
+    let { id, site, name, type, description, locked_by } = asset;
+
+    return { id, site, name, type, description, locked_by };
+
+  }
+
+  assetNameFree(siteName, name) {
+
+    if (this.site(siteName).assets.some(item => !item.deleted && item.name === name)) throw new CmsFakeFault(409, 'EXISTS', `Asset ${name} already exists.`);
+
+  }
+
+  assetsCheckin(params) {
+
+    let asset = this.asset(params.site, params.asset);
+
+    if (!CmsFakeBackend.flag(params.override)) this.unlocked(asset);
+
+    asset.locked_by = '';
+
+    this.record(asset, 'checkin');
+
+    return { success : true };
+
+  }
+
+  assetsCheckout(params) {
+
+    let asset = this.unlocked(this.asset(params.site, params.asset));
+
+    asset.locked_by = this.user;
+
+    this.record(asset, 'checkout');
+
+    return { success : true };
+
+  }
+
+  assetsCopy(params) {
+
+    let asset = this.asset(params.site, params.asset);
+
+    let siteName = params.destination || params.site;
+
+    this.assetNameFree(siteName, params.new_name);
+
+    let copy = this.createAsset(siteName, { ...asset, name : params.new_name, locked_by : '' });
+
+    this.record(copy, `copy of ${asset.site}/${asset.name}`);
+
+    return { success : true, asset : copy.id };
+
+  }
+
+  assetsDelete(params) {
+
+    let asset = this.unlocked(this.asset(params.site, params.asset));
+
+    asset.deleted = true;
+
+    this.record(asset, 'delete');
+
+    return { success : true };
+
+  }
+
+  assetsDependents(params) {
+
+  /**
+   * Files in any site whose source contains the asset's tag.
+   */
+
+    let tag = `{{a:${this.asset(params.site, params.asset).id}}}`;
+
+    let dependents = [];
+
+    for (let site of Object.values(this.sites)) {
+
+      for (let node of site.nodes.values()) if (!node.is_directory && node.source.includes(tag)) dependents.push({ site : site.name, path : node.path });
+
+    }
+
+    return dependents;
+
+  }
+
+  assetsList(params) {
+
+    let assets = this.site(params.site).assets.filter(item => !item.deleted);
+
+    return this.page(assets, params).map(asset => this.assetEntry(asset));
+
+  }
+
+  assetsLog(params) {
+
+    return this.asset(params.site, params.asset).log;
+
+  }
+
+  assetsNew(params) {
+
+    this.assetNameFree(params.site, params.name);
+
+    let asset = this.createAsset(params.site, {
+      name : params.name,
+      type : params.type,
+      content : params.content,
+      description : params.description,
+      tags : CmsFakeBackend.list(params.tags),
+    });
+
+    this.record(asset, 'new');
+
+    return { success : true, asset : asset.id };
+
+  }
+
+  assetsPublish(params) {
+
+    let site = this.site(params.site);
+
+    let target = params.target || site.name;
+
+    if (!site.targets.includes(target)) throw new CmsFakeFault(404, 'NOT_FOUND', `Target not found: ${target}`);
+
+    let asset = this.asset(params.site, params.asset);
+
+    asset.published[target] = this.clock().toISOString();
+
+    this.record(asset, `publish to ${target}`);
+
+    return { success : true, target };
+
+  }
+
+  assetsRename(params) {
+
+    let asset = this.unlocked(this.asset(params.site, params.asset));
+
+    this.assetNameFree(params.site, params.new_name);
+
+    asset.name = params.new_name;
+
+    this.record(asset, 'rename');
+
+    return { success : true };
+
+  }
+
+  assetsRestore(params) {
+
+    let asset = this.asset(params.site, params.asset, true);
+
+    this.assetNameFree(params.site, asset.name);
+
+    asset.deleted = false;
+
+    this.record(asset, 'restore');
+
+    return { success : true };
+
+  }
+
+  assetsRevert(params) {
+
+    let asset = this.unlocked(this.asset(params.site, params.asset));
+
+    let version = asset.versions.find(item => item.revision === Number(params.revision));
+
+    if (!version) throw new CmsFakeFault(404, 'NOT_FOUND', `Revision not found: ${params.revision}`);
+
+    asset.content = version.content;
+
+    this.addAssetVersion(asset, `Reverted to revision ${version.revision}`);
+
+    this.record(asset, 'revert');
+
+    return { success : true };
+
+  }
+
+  assetsSave(params) {
+
+  /**
+   * Like the CMS, saving needs the asset checked out to the session user.
+   */
+
+    let asset = this.asset(params.site, params.asset);
+
+    if (asset.locked_by !== this.user) throw new CmsFakeFault(409, 'NOT_CHECKED_OUT', `Asset ${asset.name} is not checked out to ${this.user}.`);
+
+    if (params.name !== undefined && params.name !== asset.name) {
+
+      this.assetNameFree(params.site, params.name);
+
+      asset.name = params.name;
+
+    }
+
+    for (let key of ['content', 'description']) if (params[key] !== undefined) asset[key] = params[key];
+
+    if (params.tags !== undefined) asset.tags = CmsFakeBackend.list(params.tags);
+
+    this.addAssetVersion(asset, 'Saved');
+
+    this.record(asset, 'save');
+
+    return { success : true };
+
+  }
+
+  assetsSettings(params) {
+
+    return { ...this.asset(params.site, params.asset).settings };
+
+  }
+
+  saveAssetsSettings(params) {
+
+    let asset = this.asset(params.site, params.asset);
+
+    let { site, asset : key, ...settings } = params;
+
+    Object.assign(asset.settings, settings);
+
+    this.record(asset, 'settings');
+
+    return { success : true };
+
+  }
+
+  assetsVersions(params) {
+
+    return this.asset(params.site, params.asset).versions.map(({ content, ...version }) => version);
+
+  }
+
+  assetsView(params) {
+
+    let asset = this.asset(params.site, params.asset);
+
+    return { ...this.assetEntry(asset), content : asset.content, tags : [...asset.tags] };
+
+  }
+
+  // ========== COMPONENTS ==========
+
+  components(params, endpoint) {
+
+  /**
+   * /rs/components, /rs/components/{type}/{name} and /rs/components/dependents/{type}/{name}.
+   * The fake has no components, so lists are empty and lookups are NOT_FOUND.
+   */
+
+    let parts = endpoint.split('/').filter(part => part).slice(2);
+
+    if (parts.length === 0 || parts[0] === 'dependents') return [];
+
+    throw new CmsFakeFault(404, 'NOT_FOUND', `Component not found: ${decodeURIComponent(parts[1])}`);
+
+  }
+
+  // ========== DIRECTORIES ==========
+
+  directoriesSettings(params) {
+
+    let node = this.node(params.site, params.path);
+
+    if (!node.is_directory) throw new CmsFakeFault(400, 'NOT_A_DIRECTORY', `${node.path} is not a directory.`);
+
+    // Variables set on parent directories.
+    let inherited = {};
+
+    for (let path = node.path; path !== '/';) {
+
+      path = CmsFakeBackend.parent(path);
+
+      inherited = { ...this.node(params.site, path).settings.variables, ...inherited };
+
+    }
+
+    return { ...node.settings, inherited_variables : inherited };
+
+  }
+
+  saveDirectoriesSettings(params) {
+
+    let node = this.node(params.site, params.path);
+
+    let { site, path, ...settings } = params;
+
+    let variables = {};
+
+    for (let [key, value] of Object.entries(settings)) {
+
+      if (key.startsWith('_')) variables[key.slice(1)] = value;
+
+      else node.settings[key] = value;
+
+    }
+
+    // Posting variables replaces the set (that's how setDirectorySettings() sends them).
+    node.settings.variables = variables;
+
+    this.record(node, 'settings');
+
+    return { success : true };
+
+  }
+
+  // ========== FILES ==========
+
+  filesBackup(params) {
+
+    let node = this.node(params.site, params.path);
+
+    this.addVersion(node, params.message || '');
+
+    this.record(node, 'backup');
+
+    return { success : true, revision : node.versions[0].revision };
+
+  }
+
+  filesCheckedout(params) {
+
+    return this.descendants(params.site, '/')
+
+      .filter(node => node.locked_by && (CmsFakeBackend.flag(params.all) || node.locked_by === this.user))
+
+      .map(node => this.entry(node));
+
+  }
+
+  filesCheckin(params) {
+
+    for (let path of this.paths(params)) {
+
+      let node = this.node(params.site, path);
+
+      if (!CmsFakeBackend.flag(params.override)) this.unlocked(node);
+
+      node.locked_by = '';
+
+      this.record(node, 'checkin');
+
+    }
+
+    return { success : true };
+
+  }
+
+  filesCheckout(params) {
+
+    for (let path of this.paths(params)) {
+
+      let node = this.unlocked(this.node(params.site, path));
+
+      node.locked_by = this.user;
+
+      this.record(node, 'checkout');
+
+    }
+
+    return { success : true };
+
+  }
+
+  filesContent(params) {
+
+    return this.node(params.site, params.path).source;
+
+  }
+
+  filesCopy(params, endpoint, move = false) {
+
+  /**
+   * files_copy / files_move: `destination` is a directory, `new_path` a full target path.
+   */
+
+    let site = this.site(params.site);
+
+    let copied = [];
+
+    for (let path of this.paths(params)) {
+
+      let node = this.node(params.site, path);
+
+      let target = CmsFakeBackend.normalize(params.new_path || `${params.destination || CmsFakeBackend.parent(path)}/${CmsFakeBackend.basename(path)}`);
+
+      if (target === node.path) throw new CmsFakeFault(400, 'SAME_PATH', `Cannot ${move ? 'move' : 'copy'} ${path} onto itself.`);
+
+      if (site.nodes.has(target) && !CmsFakeBackend.flag(params.overwrite)) throw new CmsFakeFault(409, 'EXISTS', `${target} already exists.`);
+
+      if (move) this.unlocked(node);
+
+      this.mkdir(params.site, CmsFakeBackend.parent(target));
+
+      for (let item of this.descendants(params.site, node.path)) {
+
+        let path = target + item.path.slice(node.path.length);
+
+        let clone = { ...structuredClone(item), path };
+
+        // Copies are new files; moves keep their identity.
+        if (!move) clone.dm_tag = clone.dm_tag.replace(/\d+/, () => ++this.sequence);
+
+        if (move) site.nodes.delete(item.path);
+
+        site.nodes.set(path, clone);
+
+      }
+
+      copied.push(target);
+
+    }
+
+    return { success : true, paths : copied };
+
+  }
+
+  filesMove(params, endpoint) {
+
+    return this.filesCopy(params, endpoint, true);
+
+  }
+
+  filesDelete(params) {
+
+  /**
+   * Deletes from staging, or with `remote` only from the published target(s).
+   */
+
+    let site = this.site(params.site);
+
+    for (let path of this.paths(params)) {
+
+      let node = this.node(params.site, path);
+
+      if (CmsFakeBackend.flag(params.remote)) {
+
+        for (let item of this.descendants(params.site, node.path)) {
+
+          if (params.target) delete item.published?.[params.target];
+
+          else if (item.published) item.published = {};
+
+        }
+
+        continue;
+
+      }
+
+      this.unlocked(node);
+
+      for (let item of this.descendants(params.site, node.path)) site.nodes.delete(item.path);
+
+    }
+
+    return { success : true };
+
+  }
+
+  filesDependencies(params) {
+
+    return { dependencies : this.node(params.site, params.path).dependencies };
+
+  }
+
+  filesDependency(params) {
+
+  /**
+   * Resolves a dependency tag to its path, or a path to its tag.
+   */
+
+    if (params.dependency) {
+
+      for (let site of Object.values(this.sites)) {
+
+        for (let node of site.nodes.values()) if (node.dm_tag === params.dependency) return { site : site.name, path : node.path, dependency : node.dm_tag };
+
+      }
+
+      throw new CmsFakeFault(404, 'NOT_FOUND', `Dependency not found: ${params.dependency}`);
+
+    }
+
+    let node = this.node(params.site, params.path);
+
+    return { site : node.site, path : node.path, dependency : node.dm_tag };
+
+  }
+
+  filesDirtypages(params) {
+
+    return this.descendants(params.site, params.path || '/')
+
+      .filter(node => !node.is_directory && node.dirty)
+
+      .map(node => this.entry(node));
+
+  }
+
+  filesExpire(params) {
+
+    return this.schedule('expire', params, { expire_type : params.expire_type || 'delete', redirect : params.redirect || '' });
+
+  }
+
+  filesInfo(params) {
+
+    let node = this.node(params.site, params.path);
+
+    return {
+
+      ...this.entry(node),
+      site : node.site,
+      title : node.title || '',
+      revision : node.versions?.[0]?.revision || 0,
+      published : { ...node.published },
+
+    };
+
+  }
+
+  filesList(params) {
+
+  /**
+   * A directory lists its children; a file lists itself (gadget-common reads entries[0]).
+   */
+
+    let node = this.node(params.site, params.path);
+
+    let entries = (node.is_directory) ? this.children(params.site, node.path) : [node];
+
+    let entry = this.entry(node);
+
+    return {
+
+      site : node.site,
+      path : node.path,
+      dm_tag : node.dm_tag,
+      http_path : entry.http_path,
+      entries : entries.map(item => this.entry(item)),
+
+    };
+
+  }
+
+  filesLocked(params) {
+
+    return this.descendants(params.site, '/')
+
+      .filter(node => node.locked_by)
+
+      .map(node => ({
+
+        path : node.path,
+        type : ({ png : 'img', jpg : 'img', gif : 'img', pdf : 'doc', docx : 'doc' })[CmsFakeBackend.extension(node.path)] || CmsFakeBackend.extension(node.path),
+        user : node.locked_by,
+        locked_by : node.locked_by,
+
+      }));
+
+  }
+
+  filesLog(params) {
+
+    return this.node(params.site, params.path).log;
+
+  }
+
+  filesNewFolder(params) {
+
+    let path = CmsFakeBackend.normalize(`${params.path}/${params.name}`);
+
+    if (this.site(params.site).nodes.has(path)) throw new CmsFakeFault(409, 'EXISTS', `${path} already exists.`);
+
+    this.node(params.site, params.path);
+
+    this.record(this.mkdir(params.site, path), 'new folder');
+
+    return { success : true, path };
+
+  }
+
+  filesProducts(params) {
+
+    this.node(params.site, params.path);
+
+    return [{ path : CmsFakeBackend.outputPath(CmsFakeBackend.normalize(params.path)), subscribers : { pages : [] } }];
+
+  }
+
+  filesProperties(params) {
+
+    let node = this.node(params.site, params.path);
+
+    return { title : node.title, meta_tags : node.meta_tags, parameters : node.parameters, tags : node.tags };
+
+  }
+
+  saveFilesProperties(params) {
+
+  /**
+   * Updates the title, and meta tags / parameters by name.
+   */
+
+    let node = this.unlocked(this.node(params.site, params.path));
+
+    let { site, path, ...properties } = params;
+
+    for (let [key, value] of Object.entries(properties)) {
+
+      if (key === 'title') node.title = value;
+
+      for (let tag of node.meta_tags) if (tag.name === key) tag.content = value;
+
+      for (let parameter of node.parameters) if (parameter.name === key) parameter.value = value;
+
+    }
+
+    node.dirty = true;
+
+    this.record(node, 'properties');
+
+    return { success : true };
+
+  }
+
+  filesPublish(params) {
+
+    let site = this.site(params.site);
+
+    let target = params.target || site.name;
+
+    if (!site.targets.includes(target)) throw new CmsFakeFault(404, 'NOT_FOUND', `Target not found: ${target}`);
+
+    let published = [];
+
+    for (let path of this.paths(params)) {
+
+      let node = this.node(params.site, path);
+
+      if (!CmsFakeBackend.flag(params.override)) this.unlocked(node);
+
+      for (let item of this.descendants(params.site, node.path)) {
+
+        if (item.is_directory || item.settings.no_publish) continue;
+
+        item.published[target] = this.clock().toISOString();
+
+        item.dirty = false;
+
+        this.record(item, `publish to ${target}`);
+
+        published.push(item.path);
+
+      }
+
+    }
+
+    return { success : true, target, published };
+
+  }
+
+  filesRecycle(params) {
+
+  /**
+   * Moves files into /recycle_bin (where getLockedFiles() skips them).
+   */
+
+    for (let path of this.paths(params)) {
+
+      let destination = `/recycle_bin${CmsFakeBackend.parent(path) === '/' ? '' : CmsFakeBackend.parent(path)}`;
+
+      this.filesCopy({ site : params.site, path, destination, overwrite : true }, '/files/recycle', true);
+
+    }
+
+    return { success : true };
+
+  }
+
+  filesRename(params) {
+
+    let path = CmsFakeBackend.normalize(params.path);
+
+    return this.filesMove({ site : params.site, path, new_path : `${CmsFakeBackend.parent(path)}/${params.new_name}` }, '/files/rename');
+
+  }
+
+  filesRevert(params) {
+
+  /**
+   * Copies an old version's source back; like filesSave, that makes a new version.
+   */
+
+    let node = this.unlocked(this.node(params.site, params.path));
+
+    let version = this.version(node, params.revision);
+
+    node.source = version.source;
+
+    node.dirty = true;
+
+    this.addVersion(node, `Reverted to revision ${version.revision}`);
+
+    this.record(node, 'revert');
+
+    return { success : true, revision : node.versions[0].revision };
+
+  }
+
+  schedule(action, params, fields = {}) {
+
+  /**
+   * Adds one files_schedule / files_expire job per path.
+   */
+
+    if (isNaN(new Date(params.date))) throw new CmsFakeFault(400, 'INVALID_DATE', `Invalid date: ${params.date}`);
+
+    let site = this.site(params.site);
+
+    let target = params.target || site.name;
+
+    if (!site.targets.includes(target)) throw new CmsFakeFault(404, 'NOT_FOUND', `Target not found: ${target}`);
+
+    let ids = [];
+
+    for (let path of this.paths(params)) {
+
+      let node = this.node(params.site, path);
+
+      let job = { id : ++this.sequence, site : site.name, path : node.path, action, date : new Date(params.date).toISOString(), target, ...fields, user : this.user };
+
+      this.schedules.push(job);
+
+      this.record(node, `schedule ${action} for ${job.date}`);
+
+      ids.push(job.id);
+
+    }
+
+    return { success : true, ids };
+
+  }
+
+  filesSave(params) {
+
+  /**
+   * Saves `content` (or `source`) as the new source and creates a version.
+   */
+
+    let node = this.unlocked(this.node(params.site, params.path));
+
+    node.source = String(params.content ?? params.source ?? '');
+
+    node.dirty = true;
+
+    this.addVersion(node, params.message || 'Saved');
+
+    this.record(node, 'save');
+
+    return { success : true, revision : node.versions[0].revision };
+
+  }
+
+  filesSettings(params) {
+
+    return { ...this.node(params.site, params.path).settings };
+
+  }
+
+  saveFilesSettings(params) {
+
+    let node = this.node(params.site, params.path);
+
+    let { site, path, ...settings } = params;
+
+    Object.assign(node.settings, settings);
+
+    this.record(node, 'settings');
+
+    return { success : true };
+
+  }
+
+  filesSource(params) {
+
+  /**
+   * Current source, or the source saved with `revision`.
+   */
+
+    let node = this.node(params.site, params.path);
+
+    if (params.revision === undefined) return { source : node.source };
+
+    return { source : this.version(node, params.revision).source };
+
+  }
+
+  filesSchedule(params) {
+
+    return this.schedule('publish', params);
+
+  }
+
+  filesScheduled(params) {
+
+  /**
+   * Jobs of the site at or under `path` (all of them without one).
+   */
+
+    let path = CmsFakeBackend.normalize(params.path || '/');
+
+    return this.schedules
+
+      .filter(job => job.site === params.site && (path === '/' || job.path === path || job.path.startsWith(`${path}/`)))
+
+      .map(job => ({ ...job }));
+
+  }
+
+  filesUnschedule(params) {
+
+    let ids = CmsFakeBackend.list(params.id).map(String);
+
+    let unknown = ids.filter(id => !this.schedules.some(job => job.site === params.site && String(job.id) === id));
+
+    if (unknown.length) throw new CmsFakeFault(404, 'NOT_FOUND', `Scheduled job not found: ${unknown.join(', ')}`);
+
+    this.schedules = this.schedules.filter(job => !(job.site === params.site && ids.includes(String(job.id))));
+
+    return { success : true };
+
+  }
+
+  filesUpload(params) {
+
+  /**
+   * Stores every `file` param in the directory at `path`. Existing files are only
+   * replaced with `overwrite` (which files_upload sends by default).
+   */
+
+    let directory = this.node(params.site, params.path);
+
+    if (!directory.is_directory) throw new CmsFakeFault(400, 'NOT_A_DIRECTORY', `${directory.path} is not a directory.`);
+
+    let files = [params.file ?? []].flat();
+
+    if (files.length === 0) throw new CmsFakeFault(400, 'MISSING_FILE', 'No file was uploaded.');
+
+    let uploaded = [];
+
+    for (let file of files) {
+
+      let name = file.name || params.name;
+
+      if (!name) throw new CmsFakeFault(400, 'MISSING_NAME', 'Uploaded content needs a file name.');
+
+      let path = CmsFakeBackend.normalize(`${directory.path}/${name}`);
+
+      let node = this.site(params.site).nodes.get(path);
+
+      if (node && !CmsFakeBackend.flag(params.overwrite)) throw new CmsFakeFault(409, 'EXISTS', `${path} already exists.`);
+
+      if (node) this.unlocked(node);
+
+      else node = this.createFile(params.site, path);
+
+      let binary = CmsApi.isBinary(file);
+
+      node.source = (binary) ? '' : String(file);
+
+      node.size = (binary) ? CmsApi.describeBinary(file).size : undefined;
+
+      node.dirty = true;
+
+      this.addVersion(node, 'Uploaded');
+
+      this.record(node, 'upload');
+
+      uploaded.push(path);
+
+    }
+
+    return { success : true, paths : uploaded };
+
+  }
+
+  filesVersions(params) {
+
+  /**
+   * Newest first (gadget-common's getLatestVersion() reads versions[0]).
+   */
+
+    return this.node(params.site, params.path).versions.map(({ source, ...version }) => version);
+
+  }
+
+  // ========== GROUPS + USERS ==========
+
+  groupsAdd(params) {
+
+    if (this.groups[params.group]) throw new CmsFakeFault(409, 'EXISTS', `Group ${params.group} already exists.`);
+
+    this.groups[params.group] = { name : params.group, members : this.members(params.members) };
+
+    return { success : true };
+
+  }
+
+  groupsList() {
+
+    return Object.values(this.groups).map(group => ({ name : group.name }));
+
+  }
+
+  groupsSave(params) {
+
+  /**
+   * `members` replaces the member list; `new_name` renames the group.
+   */
+
+    let group = this.groups[params.group];
+
+    if (!group) throw new CmsFakeFault(404, 'NOT_FOUND', `Group not found: ${params.group}`);
+
+    if (params.members !== undefined) group.members = this.members(params.members);
+
+    if (params.new_name && params.new_name !== group.name) {
+
+      if (this.groups[params.new_name]) throw new CmsFakeFault(409, 'EXISTS', `Group ${params.new_name} already exists.`);
+
+      delete this.groups[group.name];
+
+      group.name = params.new_name;
+
+      this.groups[group.name] = group;
+
+    }
+
+    return { success : true };
+
+  }
+
+  members(value) {
+
+  /**
+   * A members param as a list of known usernames (NOT_FOUND for unknown ones).
+   */
+
+    let members = [...new Set(CmsFakeBackend.list(value))];
+
+    for (let username of members) if (!this.users[username]) throw new CmsFakeFault(404, 'NOT_FOUND', `User not found: ${username}`);
+
+    return members;
+
+  }
+
+  groupsView(params) {
+
+    let group = this.groups[params.group];
+
+    if (!group) throw new CmsFakeFault(404, 'NOT_FOUND', `Group not found: ${params.group}`);
+
+    return { name : group.name, members : [...group.members] };
+
+  }
+
+  usersAdd(params) {
+
+    if (this.users[params.user]) throw new CmsFakeFault(409, 'EXISTS', `User ${params.user} already exists.`);
+
+    let { user, password, ...settings } = params;
+
+    this.users[user] = { username : user, ...settings, level : Number(settings.level ?? 0) };
+
+    return { success : true };
+
+  }
+
+  usersDelete(params) {
+
+    this.usersView(params);
+
+    delete this.users[params.user];
+
+    for (let group of Object.values(this.groups)) group.members = group.members.filter(member => member !== params.user);
+
+    return { success : true };
+
+  }
+
+  usersGroups(params) {
+
+    let username = params.user || this.user;
+
+    return Object.values(this.groups).filter(group => group.members.includes(username)).map(group => group.name);
+
+  }
+
+  usersList(params) {
+
+    return this.page(Object.values(this.users), params).map(user => ({ ...user }));
+
+  }
+
+  usersSave(params) {
+
+    let user = this.users[params.user];
+
+    if (!user) throw new CmsFakeFault(404, 'NOT_FOUND', `User not found: ${params.user}`);
+
+    let { user : username, password, ...settings } = params;
+
+    Object.assign(user, settings);
+
+    if (settings.level !== undefined) user.level = Number(settings.level);
+
+    return { success : true };
+
+  }
+
+  usersView(params) {
+
+    let user = this.users[params.user || this.user];
+
+    if (!user) throw new CmsFakeFault(404, 'NOT_FOUND', `User not found: ${params.user}`);
+
+    return { ...user };
+
+  }
+
+  // ========== REPORTS ==========
+
+  reports(params) {
+
+  /**
+   * Custom reports used by gadget-common: groups, directories, products and sites.
+   * Only the `*_str` address filters are applied; every column is returned.
+   */
+
+    const records = {
+
+      groups : () => Object.values(this.groups).map(group => ({
+
+        g_name : group.name,
+        g_memberlist : (group.members.length) ? group.members.join(', ') : 'N/A',
+
+      })),
+
+      directories : () => this.descendants(params.site, '/')
+
+        .filter(node => node.is_directory && node.path.startsWith(params.d_address_str || '/'))
+
+        .map(node => ({ d_address : node.path, d_access : node.settings.access, d_dtag : node.dm_tag })),
+
+      products : () => this.descendants(params.site, '/')
+
+        .filter(node => !node.is_directory && node.path.startsWith(params.pd_address_str || '/'))
+
+        .map(node => ({
+
+          pd_address : node.path,
+          pd_access : node.settings.access,
+          pd_dtag : node.dm_tag,
+          pd_filename : CmsFakeBackend.basename(CmsFakeBackend.outputPath(node.path)),
+
+        })),
+
+      // One record per publish target; the main target shares the site's name.
+      sites : () => Object.values(this.sites).flatMap(site => site.targets.map(target => ({
+
+        s_name : site.name,
+        s_targetname : target,
+        s_serverpath : site.url,
+
+      }))),
+
+    };
+
+    if (!records[params.report]) throw new CmsFakeFault(400, 'INVALID_REPORT', `Unknown report: ${params.report}`);
+
+    return { records : records[params.report]() };
+
+  }
+
+  // ========== SITES ==========
+
+  sitesFindreplace(params) {
+
+  /**
+   * Runs the whole job at once; sites_findreplacestatus reports it finished.
+   */
+
+    let extensions = CmsFakeBackend.list(params.extensions);
+
+    if (extensions.length === 0) extensions = ['pcf'];
+
+    let paths = CmsFakeBackend.list(params.paths);
+
+    if (paths.length === 0) paths = ['/'];
+
+    let flags = (CmsFakeBackend.flag(params.casesensitive)) ? 'g' : 'gi';
+
+    let pattern = (CmsFakeBackend.flag(params.regex)) ? params.srchstr : params.srchstr.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+    let regex = new RegExp(pattern, flags);
+
+    let replace = CmsFakeBackend.flag(params.replace);
+
+    let files = [];
+
+    let nodes = new Set(paths.flatMap(path => this.descendants(params.site, path)));
+
+    for (let node of nodes) {
+
+      if (node.is_directory || !extensions.includes(CmsFakeBackend.extension(node.path))) continue;
+
+      let count = (node.source.match(regex) || []).length;
+
+      if (count === 0) continue;
+
+      files.push({ path : node.path, count });
+
+      if (!replace) continue;
+
+      node.source = node.source.replace(regex, params.rplcstr ?? '');
+
+      node.dirty = true;
+
+      this.addVersion(node, params.log || 'Find and replace');
+
+    }
+
+    let id = ++this.sequence;
+
+    this.jobs.set(String(id), { id, site : params.site, finished : true, replace, srchstr : params.srchstr, rplcstr : params.rplcstr, files });
+
+    return { id };
+
+  }
+
+  sitesFindreplacestatus(params) {
+
+    let job = this.jobs.get(String(params.id));
+
+    if (!job || job.site !== params.site) throw new CmsFakeFault(404, 'NOT_FOUND', `Find and replace job not found: ${params.id}`);
+
+    return job;
+
+  }
+
+  sitesList() {
+
+    return Object.values(this.sites).map(site => ({ site : site.name, url : site.url }));
+
+  }
+
+  sitesPublish(params) {
+
+    return this.filesPublish({ site : params.site, target : params.target, path : '/' });
+
+  }
+
+  sitesQuicksearch(params) {
+
+  /**
+   * Files whose path contains `search` (case-insensitive), paged with start/count.
+   */
+
+    let search = String(params.search || params.query || '').toLowerCase();
+
+    let matches = this.descendants(params.site, '/').filter(node => !node.is_directory && node.path.toLowerCase().includes(search));
+
+    return this.page(matches, params).map(node => this.entry(node));
+
+  }
+
+  sitesTargets(params) {
+
+    return { targets : [...this.site(params.site).targets] };
+
+  }
+
+  sitesView(params) {
+
+    let site = this.site(params.site);
+
+    return { site : site.name, account : this.account, url : site.url, targets : [...site.targets] };
+
+  }
+
+  // ========== WORKFLOW ==========
+
+  pending(params) {
+
+  /**
+   * The page waiting for the session user at params.site/params.path.
+   */
+
+    let node = this.node(params.site, params.path);
+
+    if (!node.approval) throw new CmsFakeFault(404, 'NOT_PENDING', `${node.path} is not waiting for approval.`);
+
+    if (node.approval.approver !== this.user) throw new CmsFakeFault(403, 'NOT_APPROVER', `${node.path} is waiting for ${node.approval.approver}.`);
+
+    return node;
+
+  }
+
+  workflowApprove(params) {
+
+    let node = this.pending(params);
+
+    node.approval = null;
+
+    node.locked_by = '';
+
+    this.record(node, 'approve');
+
+    if (!CmsFakeBackend.flag(params.publish)) return { success : true };
+
+    return this.filesPublish({ site : params.site, path : node.path, target : params.target });
+
+  }
+
+  workflowDecline(params) {
+
+  /**
+   * Sends the page back: it is checked out to the sender again.
+   */
+
+    let node = this.pending(params);
+
+    node.locked_by = node.approval.from;
+
+    node.approval = null;
+
+    this.record(node, 'decline');
+
+    return { success : true };
+
+  }
+
+  workflowList(params) {
+
+    let username = params.user || this.user;
+
+    let pending = [];
+
+    for (let site of Object.values(this.sites)) {
+
+      for (let node of site.nodes.values()) if (node.approval && node.approval.approver === username) pending.push({ site : site.name, path : node.path, ...node.approval });
+
+    }
+
+    return pending;
+
+  }
+
+  workflowSubmit(params) {
+
+  /**
+   * Checks the page out to the approver until it is approved or declined.
+   */
+
+    let node = this.unlocked(this.node(params.site, params.path));
+
+    if (!this.users[params.approver]) throw new CmsFakeFault(404, 'NOT_FOUND', `User not found: ${params.approver}`);
+
+    node.approval = {
+
+      id : ++this.sequence,
+      from : this.user,
+      approver : params.approver,
+      subject : params.subject || '',
+      message : params.message || '',
+      submitted : this.clock().toISOString(),
+
+    };
+
+    node.locked_by = params.approver;
+
+    this.record(node, `submit to ${params.approver}`);
+
+    return { success : true };
+
+  }
+
+  // ========== GENERIC ==========
+
+  ok() {
+
+    return { success : true };
+
+  }
+
+  emptyList() {
+
+    return [];
+
+  }
+
+  emptyRecords() {
+
+    return { records : [] };
+
+  }
+
+}
+
+
+class CmsFakeFault extends Error {
+
+/**
+ * Thrown by CmsFakeBackend handlers; handle() turns it into an error response.
+ */
+
+  constructor(status, code, message) {
+
+    super(message);
+
+    this.name = 'CmsFakeFault';
+    this.status = status;
+    this.code = code;
+
+  }
+
+}
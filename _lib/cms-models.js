@@ -0,0 +1,545 @@
+/**
+ * cms-models.js
+ *
+ * @author Louis Vulpes
+ * @copyright Missouri State University 2024-2026
+ */
+
+
+class CmsModel {
+
+/**
+ * CmsModel
+ * Base class for the objects gadget-common.js fetchers hand back: Page, BinaryFile,
+ * Directory, Asset, User, Group, Site, Approval, ScheduledJob and Revision.
+ *
+ * Models are plain data (own enumerable properties only), so they spread, JSON.stringify
+ * and go straight into generateList() like the hand-built objects they replace.
+ * Every model carries `type` ('page', 'file', 'directory', 'asset', 'user', 'group', 'site', 'approval', 'schedule', 'revision');
+ * BinaryFile also uses 'binary', the label dependency lists and locked files have always had.
+ *
+ * Raw payloads are turned into models with `fromApi(data, source, context)`, where `source`
+ * names the endpoint or report the data came from (see each class's `sources`) and
+ * `context` fills in what the payload leaves out (usually `{ site }`):
+ *
+ *   let pages = Page.fromApiList(data.dependencies.filter(...), 'dependencies');
+ *   let dirs = Directory.fromApiList(report.records, 'directories', { site : api.site });
+ *
+ * Models throw a CmsModelError naming any missing required field, instead of letting an
+ * `undefined` path travel into the next API call. That goes for records from fromApi() too;
+ * pass `{ strict : false }` to keep an incomplete record as the CMS sent it:
+ *
+ *   let file = CmsFile.fromApi(info, 'file_info', {}, { strict : false });
+ */
+
+  static type = '';
+
+  // Other `type` labels a parser may give instances (kept as given; anything else becomes `type`).
+  static aliases = [];
+
+  // Fields that must be present (not undefined, null or '') on every instance.
+  static required = [];
+
+  // source name => function (data, context) returning the model's fields
+  static sources = {};
+
+  constructor(fields = {}, { strict = true } = {}) {
+
+    // Parsers leave optional fields undefined; keep them off the instance.
+    for (let [key, value] of Object.entries(fields)) if (value !== undefined) this[key] = value;
+
+    this.type = (this.constructor.aliases.includes(fields.type)) ? fields.type : this.constructor.type;
+
+    if (strict) this.constructor.validate(this);
+
+  }
+
+  static validate(fields) {
+
+  /**
+   * Throws a CmsModelError when any `required` field is missing.
+   */
+
+    let missing = this.required.filter(key => fields[key] === undefined || fields[key] === null || fields[key] === '');
+
+    if (missing.length) throw new CmsModelError(`${this.name} is missing ${missing.join(', ')}`, { model : this.name, missing, data : fields });
+
+  }
+
+  static fromApi(data, source, context = {}, { strict = true } = {}) {
+
+  /**
+   * Builds a model from one raw API record.
+   *
+   * @param {object} data - the record (a list entry, report record, response body...)
+   * @param {string} source - key of `sources` naming where the record came from
+   * @param {object} [context] - values the record lacks, e.g. { site }
+   * @param {object} [options] - { strict } strict:false skips the required-field check
+   */
+
+    let parse = this.sources[source];
+
+    if (!parse) throw new CmsModelError(`${this.name}.fromApi(): unknown source '${source}' (expected ${Object.keys(this.sources).join(', ')})`, { model : this.name, data });
+
+    if (!data || typeof data !== 'object') throw new CmsModelError(`${this.name}.fromApi(): expected a '${source}' record, got ${data}`, { model : this.name, data });
+
+    return this.create(parse(data, context), { strict });
+
+  }
+
+  static fromApiList(list, source, context = {}, options = {}) {
+
+  /**
+   * fromApi() for each record of a list.
+   */
+
+    return list.map(data => this.fromApi(data, source, context, options));
+
+  }
+
+  static create(fields, options = {}) {
+
+    return new this(fields, options);
+
+  }
+
+}
+
+class CmsFile extends CmsModel {
+
+/**
+ * CmsFile
+ * Shared base of Page, BinaryFile and Directory: anything addressed by {site, path}.
+ *
+ * Listings mix the three, so the parsers decide which one a record is (`fields.type`)
+ * and create() builds that class. Calling fromApi() on CmsFile accepts any of them;
+ * calling it on a subclass (Page.fromApi(...)) also checks the record is that kind.
+ */
+
+  static required = ['site', 'path'];
+
+  static sources = {
+
+    // files_list entries ({ file_name, staging_path, is_directory, ... }); context { site }
+    files_list : (data, { site }) => ({
+      site : data.site || site,
+      path : data.staging_path,
+      name : data.file_name,
+      dm_tag : data.dm_tag,
+      http_path : data.http_path,
+      no_publish : data.no_publish,
+      locked_by : data.locked_by,
+      type : (data.is_directory) ? 'directory' : CmsFile.typeOf(data.staging_path),
+    }),
+
+    // files_dependencies entries ({ type : 'f', site, name, path }); non-page files are 'binary'
+    dependencies : data => ({
+      site : data.site,
+      path : data.path,
+      type : (data.type === 'a') ? 'asset' : (CmsFile.typeOf(data.path) === 'page') ? 'page' : 'binary',
+    }),
+
+    // components_dependents entries ({ sitename, path, pageID })
+    components_dependents : data => ({
+      site : data.sitename,
+      path : data.path,
+      dm_tag : (data.pageID !== undefined) ? `{{f:${data.pageID}}}` : undefined,
+      type : 'page',
+    }),
+
+    // files_products subscriber pages ({ sitename, path })
+    subscribers : data => ({
+      site : data.sitename,
+      path : data.path,
+      type : 'page',
+    }),
+
+    // files_locked entries ({ path, type : 'pcf'|'img'|'doc'|..., locked_by }); context { site }
+    files_locked : (data, { site }) => ({
+      ...data,
+      site : data.site || site,
+      filetype : data.type,
+      type : CmsFile.lockedTypes[data.type] || data.type,
+    }),
+
+    // assets_dependents entries ({ site, path })
+    assets_dependents : data => ({
+      site : data.site || data.sitename,
+      path : data.path,
+      type : CmsFile.typeOf(data.path),
+    }),
+
+    // "directories" custom report records ({ d_address, d_access, d_dtag }); context { site }
+    directories : (data, { site }) => ({
+      site,
+      path : data.d_address,
+      dm_tag : data.d_dtag,
+      access : data.d_access,
+      http_path : `${site}${data.d_address}`,
+      type : 'directory',
+    }),
+
+    // "products" custom report records ({ pd_address, pd_access, pd_dtag, pd_filename }); context { site }
+    products : (data, { site }) => ({
+      site,
+      path : data.pd_address,
+      dm_tag : data.pd_dtag,
+      access : data.pd_access,
+      filename : data.pd_filename,
+      // The report path names the source file; swap in the output filename
+      http_path : `${site}${data.pd_address.replace(data.pd_address.split('/').pop(), data.pd_filename)}`,
+      type : CmsFile.typeOf(data.pd_address),
+    }),
+
+    // gadget.getFileInfo() ({ site, stagingPath, filename, productionUrl, lockStatus, type })
+    file_info : data => ({
+      site : data.site,
+      path : data.stagingPath,
+      filename : data.filename,
+      http_path : data.productionUrl,
+      lock_status : data.lockStatus,
+      filetype : data.type,
+      type : (data.type === 'pcf') ? 'page' : 'file',
+    }),
+
+  };
+
+  // files_locked `type` => model type; other types keep the CMS's label ('asset' entries are not files; gadget-common skips them)
+  static lockedTypes = {
+
+    pcf : 'page',
+    txt : 'page',
+    html : 'page',
+    img : 'binary',
+    doc : 'binary',
+    dir : 'directory',
+    directory : 'directory',
+    asset : 'asset',
+
+  };
+
+  static fromPath(site, path, fields = {}) {
+
+  /**
+   * A Page or BinaryFile (by extension) for a known site and path.
+   */
+
+    return this.create({ ...fields, site, path, type : CmsFile.typeOf(path) });
+
+  }
+
+  static typeOf(path = '') {
+
+    return (String(path).endsWith('.pcf')) ? 'page' : 'file';
+
+  }
+
+  static create(fields, options = {}) {
+
+  /**
+   * Builds the class `fields.type` names; CmsFile.create() of a type we don't model builds
+   * a BinaryFile that keeps the label. A type that is not this class (Page.create() of a
+   * directory, BinaryFile.create() of an unknown type) throws; with { strict : false } the
+   * record is built as whatever it is instead.
+   */
+
+    let Model = ({ page : Page, file : BinaryFile, binary : BinaryFile, directory : Directory })[fields.type];
+
+    let fits = (Model) ? Model === this || Model.prototype instanceof this : this === CmsFile;
+
+    if (!fits && options.strict !== false) {
+
+      throw new CmsModelError(`${this.name}: ${fields.path} is a ${fields.type}, not a ${this.type || 'file'}`, { model : this.name, data : fields });
+
+    }
+
+    if (Model) return new Model(fields, options);
+
+    // Not a kind of file we model (e.g. a locked asset): a BinaryFile that keeps the CMS's label.
+    return Object.assign(new BinaryFile(fields, options), { type : fields.type || BinaryFile.type });
+
+  }
+
+}
+
+class Page extends CmsFile {
+
+/**
+ * Page
+ * A .pcf page.
+ */
+
+  static type = 'page';
+
+}
+
+class BinaryFile extends CmsFile {
+
+/**
+ * BinaryFile
+ * Any non-.pcf file (images, documents, uploads...).
+ * `type` is 'file', or 'binary' for dependency lists and locked files.
+ */
+
+  static type = 'file';
+
+  static aliases = ['binary'];
+
+}
+
+class Directory extends CmsFile {
+
+/**
+ * Directory
+ * A staging directory.
+ */
+
+  static type = 'directory';
+
+}
+
+class Asset extends CmsModel {
+
+/**
+ * Asset
+ * A CMS asset. `asset_type` keeps the CMS's own asset type (the model `type` is 'asset').
+ */
+
+  static type = 'asset';
+
+  static required = ['site', 'name'];
+
+  static sources = {
+
+    // files_dependencies entries ({ type : 'a', site, name, path })
+    dependencies : data => ({
+      site : data.site,
+      name : data.name,
+      path : data.path,
+    }),
+
+    // assets_list records ({ id|asset, name, type, site?, locked_by? }); context { site }
+    assets_list : (data, { site }) => ({
+      id : data.id ?? data.asset,
+      site : data.site || site,
+      name : data.name,
+      path : data.path,
+      asset_type : data.type,
+      description : data.description,
+      dm_tag : (data.id ?? data.asset) !== undefined ? `{{a:${data.id ?? data.asset}}}` : undefined,
+      locked_by : data.locked_by,
+    }),
+
+    // assets_view responses: the list fields plus the content
+    assets_view : (data, context) => ({ ...Asset.sources.assets_list(data, context), content : data.content }),
+
+  };
+
+}
+
+class User extends CmsModel {
+
+/**
+ * User
+ * A CMS user, with the display names generateListItem() and sortUsersByCase() use.
+ */
+
+  static type = 'user';
+
+  static required = ['username'];
+
+  static sources = {
+
+    // users_list entries ({ username, first_name, last_name, email, level })
+    users_list : data => ({
+      username : data.username,
+      first_name : data.first_name,
+      last_name : data.last_name,
+      full_name : `${data.first_name} ${data.last_name}`,
+      reverse_name : `${data.last_name}, ${data.first_name}`,
+      email : data.email,
+      level : data.level,
+    }),
+
+    // users_view responses keep every field (privileges, approver...) next to the display names
+    users_view : data => ({ ...data, ...User.sources.users_list(data) }),
+
+  };
+
+}
+
+class Group extends CmsModel {
+
+/**
+ * Group
+ * A CMS group and its member usernames.
+ */
+
+  static type = 'group';
+
+  static required = ['name'];
+
+  static sources = {
+
+    // "groups" custom report records ({ g_name, g_memberlist : 'a, b' | 'N/A' })
+    groups : data => ({
+      name : data.g_name,
+      members : (!data.g_memberlist || data.g_memberlist === 'N/A') ? [] : data.g_memberlist.split(', '),
+    }),
+
+    // groups_list entries ({ name }) and groups_view responses ({ name, members })
+    groups_list : data => ({
+      name : data.name,
+      members : data.members || [],
+    }),
+
+    groups_view : data => Group.sources.groups_list(data),
+
+  };
+
+}
+
+class Site extends CmsModel {
+
+/**
+ * Site
+ * A CMS site. `http_path` is its public URL without the trailing slash.
+ */
+
+  static type = 'site';
+
+  static required = ['name'];
+
+  static sources = {
+
+    // "sites" custom report records ({ s_name, s_serverpath, s_targetname })
+    sites : data => ({
+      name : data.s_name,
+      http_path : (data.s_serverpath || '').replace(/\/$/, ''),
+    }),
+
+    // sites_list entries ({ site, url }) and sites_view responses (plus targets)
+    sites_list : data => ({
+      name : data.site,
+      http_path : (data.url || '').replace(/\/$/, ''),
+      targets : data.targets,
+    }),
+
+    sites_view : data => Site.sources.sites_list(data),
+
+  };
+
+}
+
+class Approval extends CmsModel {
+
+/**
+ * Approval
+ * A page waiting in an approver's workflow queue: who sent it, when, and why.
+ */
+
+  static type = 'approval';
+
+  static required = ['site', 'path'];
+
+  static sources = {
+
+    // workflow_list entries ({ id, site, path, from, approver, subject, message, submitted })
+    workflow_list : data => ({
+      id : data.id,
+      site : data.site,
+      path : data.path,
+      from : data.from,
+      approver : data.approver,
+      subject : data.subject,
+      message : data.message,
+      submitted : data.submitted,
+    }),
+
+  };
+
+}
+
+class ScheduledJob extends CmsModel {
+
+/**
+ * ScheduledJob
+ * A scheduled publish or expiration of a file or directory. `action` is 'publish' or 'expire';
+ * `date` is an ISO date string.
+ */
+
+  static type = 'schedule';
+
+  static required = ['id', 'site', 'path', 'action', 'date'];
+
+  static sources = {
+
+    // files_scheduled entries ({ id, site, path, action, date, target, expire_type, redirect, user })
+    files_scheduled : (data, { site }) => ({
+      id : data.id,
+      site : data.site || site,
+      path : data.path,
+      action : data.action,
+      date : data.date,
+      target : data.target,
+      expire_type : data.expire_type,
+      redirect : data.redirect,
+      user : data.user,
+    }),
+
+  };
+
+}
+
+class Revision extends CmsModel {
+
+/**
+ * Revision
+ * One entry of a file's version history: who saved it, when (`date`, ISO string) and why.
+ */
+
+  static type = 'revision';
+
+  static required = ['site', 'path', 'revision'];
+
+  static sources = {
+
+    // files_versions entries ({ revision, timestamp, user, message }); context { site, path }
+    files_versions : (data, { site, path }) => ({
+      site : data.site || site,
+      path : data.path || path,
+      revision : data.revision,
+      user : data.user,
+      date : data.timestamp ?? data.date,
+      message : data.message,
+    }),
+
+  };
+
+}
+
+// ========== ERRORS ==========
+
+class CmsModelError extends TypeError {
+
+/**
+ * CmsModelError
+ * Thrown when a payload cannot be turned into a model.
+ *
+ * @property {string} model - the model class name
+ * @property {Array<string>} missing - required fields that were absent
+ * @property {object} data - the offending fields / record
+ */
+
+  constructor(message, { model = '', missing = [], data = null } = {}) {
+
+    super(message);
+
+    this.name = 'CmsModelError';
+    this.model = model;
+    this.missing = missing;
+    this.data = data;
+
+  }
+
+}
@@ -2,10 +2,19 @@
  * gadget-common.js
  * 
  * Shared helper utilities for OmniUpdate gadgets:
- * - UI helpers (alerts, modals, spinners, breadcrumb/list builders)
+ * - UI helpers (alerts, modals, spinners, breadcrumb/list builders, diffs)
  * - CMS data fetchers (assets, binaries, links, locked files, sites/users)
  * - Settings helpers (directory/file access/extensions, publish/unpublish)
  *
+ * Async CMS fetchers take a trailing `{ signal }` options object; aborting the
+ * AbortSignal cancels their API requests (they reject with a CmsAbortError).
+ * Batch helpers queue their requests in the CmsApi 'bulk' lane so interactive
+ * calls are not stuck behind them.
+ *
+ * Fetchers return cms-models.js instances (Page, BinaryFile, Directory, Asset,
+ * User, Group, Site, ...) rather than raw payloads, except where noted, so pages
+ * using this file must also load cms-models.js (any order, before the first call).
+ *
  * @author Louis Vulpes
  * @copyright Missouri State University 2024-2026
  **/
@@ -92,6 +101,108 @@ function fadeOutElement(element, ms = 300) {
 
 }
 
+/** ------ [APPROVAL] ------ **/
+
+async function approvePage(page, { message, publish = false, target, priority } = {}) {
+
+/**
+ * Approves a page waiting for the current user.
+ *
+ * @param {Object} page - {site, path}
+ * @param {Object} [options] - { message, publish, target, priority }
+ *   publish:true publishes it right away (to `target`, or the site's default target)
+ */
+
+  return api.workflow_approve(dropUndefined({site : page.site, path : page.path, message, publish, target, priority}));
+
+}
+
+async function declinePage(page, message = '', { priority } = {}) {
+
+/**
+ * Declines a page waiting for the current user; it goes back to the sender.
+ *
+ * @param {Object} page - {site, path}
+ * @param {string} message - reason shown to the sender
+ */
+
+  return api.workflow_decline({site : page.site, path : page.path, message, priority});
+
+}
+
+async function submitForApproval(page, approver = '', { subject, message, sendEmail, priority } = {}) {
+
+/**
+ * Submits a page for approval.
+ * Without an `approver`, uses the one set in the page's settings (see setFileSettings()).
+ *
+ * @param {Object} page - {site, path}
+ * @param {string} approver - username
+ * @param {Object} [options] - { subject, message, sendEmail, priority }
+ */
+
+  if (!approver) approver = await api.files_settings({site : page.site, path : page.path, priority})
+
+    .then(data => data.approver);
+
+  if (!approver) throw new TypeError(`No approver given and none is set for ${page.path}`);
+
+  return api.workflow_submit(dropUndefined({
+
+    site : page.site,
+    path : page.path,
+    approver : approver,
+    subject,
+    message,
+    send_email : sendEmail,
+    priority,
+
+  }));
+
+}
+
+async function runApprovalAction(event, config, container, gui) {
+
+/**
+ * Click handler buildList() attaches to 'approval' lists: runs the approve/decline
+ * button that was clicked, reports the outcome with addAlert() and reloads the list.
+ *
+ * config.publish_on_approve: publish pages when approving them
+ * config.decline_message: message sent with declines
+ */
+
+  let button = event.target.closest('[data-approval-action]');
+
+  if (!button) return;
+
+  let action = button.dataset.approvalAction;
+
+  let page = {site : button.dataset.site, path : button.dataset.path};
+
+  button.disabled = true;
+
+  try {
+
+    if (action === 'approve') await approvePage(page, { publish : config.publish_on_approve });
+
+    else await declinePage(page, config.decline_message);
+
+  }
+
+  catch (error) {
+
+    button.disabled = false;
+
+    return addAlert(`Could not ${action} ${page.path}: ${error.message}`, 'danger');
+
+  }
+
+  addAlert(`${(action === 'approve') ? 'Approved' : 'Declined'} ${page.path}`, 'success');
+
+  return buildList({ ...config, list : undefined }, container, gui);
+
+}
+
 /** ------ [BUILD] ------ **/
 
 async function buildList(config, container , gui = getElement('#list-gui')) {
@@ -110,11 +221,14 @@ async function buildList(config, container , gui = getElement('#list-gui')) {
  * @param {HTMLElement} container - DOM element to receive the generated list
  * @param {HTMLElement|null} gui - Optional GUI element that should be shown when list is ready
  *
- * config.type: 'asset' | 'binary' | 'link' | 'locked' | 'subscriber' | ''
+ * config.type: 'approval' | 'asset' | 'binary' | 'link' | 'locked' | 'subscriber' | ''
  * config.list: array of items (if preloaded)
- * config.page: {site, path} (required for asset/binary/link/subscriber)
+ * config.page: {site, path} (required for binary/link/subscriber; asset uses it when given)
+ * config.site: site name (asset without a page: every asset of the site)
  * config.edit_mode: boolean (passed to generateList to enable checkboxes)
  * config.empty_text: string to display when list is empty
+ * config.signal: AbortSignal passed to the loader (optional)
+ * config.publish_on_approve / config.decline_message: 'approval' actions (see runApprovalAction())
  */
 
   // Show a spinner while fetching/building
@@ -138,12 +252,15 @@ async function buildList(config, container , gui = getElement('#list-gui')) {
    *  - list: array of items to display
    *  - empty: empty-state message for that item type
    */
+  const options = { signal: config.signal };
+
   const loaders = {
-    asset: async () => ({ list: await getAssets(config.page), empty: 'No assets found' }),
-    binary: async () => ({ list: await getBinaryFiles(config.page), empty: 'No binary files found' }),
-    link: async () => ({ list: await getPageContentLinks(config.page), empty: 'No content links found' }),
-    locked: async () => ({ list: await getLockedFiles(), empty: 'No locked files found' }),
-    subscriber: async () => ({ list: await getSubscribers(config.page), empty: 'No subscribers found' }),
+    approval: async () => ({ list: await getPendingApprovals(options), empty: 'No pages waiting for approval' }),
+    asset: async () => ({ list: await ((config.page) ? getAssets(config.page, options) : getSiteAssets(config.site, options)), empty: 'No assets found' }),
+    binary: async () => ({ list: await getBinaryFiles(config.page, options), empty: 'No binary files found' }),
+    link: async () => ({ list: await getPageContentLinks(config.page, options), empty: 'No content links found' }),
+    locked: async () => ({ list: await getLockedFiles(options), empty: 'No locked files found' }),
+    subscriber: async () => ({ list: await getSubscribers(config.page, options), empty: 'No subscribers found' }),
   };
 
   // If caller didn't supply a list, fetch it based on config.type
@@ -152,7 +269,9 @@ async function buildList(config, container , gui = getElement('#list-gui')) {
     if (!loader) return; // Nothing to do if unknown type
 
     // Some loaders require a page object; bail out if missing to avoid API errors
-    if (['asset','binary','link','subscriber'].includes(config.type) && !config.page) return;
+    if (['binary','link','subscriber'].includes(config.type) && !config.page) return;
+
+    if (config.type === 'asset' && !config.page && !config.site) return;
 
     const { list, empty } = await loader();
     config.list = list || [];
@@ -170,40 +289,185 @@ async function buildList(config, container , gui = getElement('#list-gui')) {
   // Only add list if container is still empty (prevents double-appends)
   if (container.childNodes.length === 0) container.appendChild(generateList(config.list, config.edit_mode));
 
+  // Approve/decline buttons; assigned (not added) so rebuilding doesn't stack handlers
+  if (config.type === 'approval') container.onclick = event => runApprovalAction(event, config, container, gui);
+
+}
+
+async function buildVersionHistory(file, container, { mode = 'inline', context = 3, signal } = {}) {
+
+/**
+ * Builds a version history explorer for a file into `container`:
+ *  - every revision with its author, date and message, newest first
+ *  - Old/New radios pick two revisions; Compare shows their diff (inline or side by side)
+ *  - each revision has a Restore button (restoreRevision(), after a confirm modal)
+ *
+ * @param {Object} file - {site, path}
+ * @param {HTMLElement} container - DOM element to receive the explorer
+ * @param {Object} [options] - { mode, context, signal }
+ *   mode: initial diff layout, 'inline' | 'side-by-side'
+ *   context: unchanged lines shown around each change (see generateDiff())
+ */
+
+  container.innerHTML = generateSpinner(true);
+
+  let versions = await getVersions(file, { signal });
+
+  if (!versions.length) {
+
+    container.innerHTML = `<div class="text-secondary px-1 py-2">No versions found</div>`;
+
+    return;
+
+  }
+
+  container.innerHTML = `
+    <div class="d-flex align-items-center mb-2">
+      <select class="custom-select custom-select-sm w-auto mr-1" data-version-mode>
+        <option value="inline"${(mode === 'inline') ? ' selected' : ''}>Inline</option>
+        <option value="side-by-side"${(mode === 'side-by-side') ? ' selected' : ''}>Side by side</option>
+      </select>
+      <button type="button" class="btn btn-sm btn-primary" data-version-action="compare">Compare</button>
+    </div>
+  `;
+
+  let list = generateList(versions, true);
+
+  container.appendChild(list);
+
+  let output = document.createElement('div');
+
+  output.classList.add('mt-2');
+
+  output.dataset.versionDiff = '';
+
+  container.appendChild(output);
+
+  // Compare the previous revision with the latest one by default
+  let older = list.querySelectorAll('input[name="version-old"]');
+
+  (older[1] || older[0]).checked = true;
+
+  list.querySelector('input[name="version-new"]').checked = true;
+
+  // Assigned (not added) so rebuilding after a restore doesn't stack handlers
+  container.onclick = event => runVersionAction(event, file, container, { context, signal });
+
+}
+
+async function runVersionAction(event, file, container, options = {}) {
+
+/**
+ * Click handler buildVersionHistory() attaches:
+ *  - compare: fetches both picked revisions and renders diffLines() with generateDiff()
+ *  - restore: restores the revision (restoreRevision() asks first) and rebuilds the explorer
+ * Failures are reported with addAlert().
+ */
+
+  let button = event.target.closest('[data-version-action]');
+
+  if (!button) return;
+
+  let mode = container.querySelector('[data-version-mode]').value;
+
+  if (button.dataset.versionAction === 'compare') {
+
+    let older = container.querySelector('input[name="version-old"]:checked')?.value;
+
+    let newer = container.querySelector('input[name="version-new"]:checked')?.value;
+
+    if (!older || !newer || older === newer) return addAlert('Pick two different revisions to compare', 'warning');
+
+    let output = container.querySelector('[data-version-diff]');
+
+    output.innerHTML = generateSpinner(true);
+
+    button.disabled = true;
+
+    try {
+
+      let [before, after] = await Promise.all([older, newer].map(revision => getRevisionSource(file, revision, { signal : options.signal })));
+
+      let ops = diffLines(before, after);
+
+      output.innerHTML = '';
+
+      output.appendChild(generateDiff(ops, { mode, context : options.context, oldLabel : `Revision ${older}`, newLabel : `Revision ${newer}` }));
+
+    }
+
+    catch (error) {
+
+      output.innerHTML = '';
+
+      addAlert(`Could not compare revisions ${older} and ${newer}: ${error.message}`, 'danger');
+
+    }
+
+    finally {
+
+      button.disabled = false;
+
+    }
+
+    return;
+
+  }
+
+  let revision = Number(button.dataset.revision);
+
+  let result;
+
+  button.disabled = true;
+
+  try {
+
+    result = await restoreRevision(file, revision);
+
+  }
+
+  catch (error) {
+
+    button.disabled = false;
+
+    return addAlert(`Could not restore revision ${revision}: ${error.message}`, 'danger');
+
+  }
+
+  // Cancelled in the confirm modal
+  if (!result) {
+
+    button.disabled = false;
+
+    return;
+
+  }
+
+  addAlert(`Restored ${file.path} to revision ${revision}`, 'success');
+
+  return buildVersionHistory(file, container, { ...options, mode });
+
 }
 
 /** ------ [COLLECT] ------**/
 
-async function collectDirectoryInfo(directory) {
+async function collectDirectoryInfo(directory, { signal } = {}) {
 
 /**
  * Enriches a directory object with:
- * - directories[]: immediate child directories (from files_list)
+ * - directories[]: immediate child Directory models (from files_list)
  * - dm_tag + http_path: directory metadata from the listing result
  *
  * @param {Object} directory - {site, path, ...}
  * @returns {Promise<Object>} same directory object with added properties
  */
 
-  return api.files_list({site : directory.site, path : directory.path})
+  return api.files_list({site : directory.site, path : directory.path, signal})
 
     .then(data => {
 
-      // Convert API entries into a simplified directories list
-      directory.directories = data.entries
-
-        .filter(entry => entry.is_directory) // or (entry.file_type === 'dir')
-
-        .map(entry => ({
-
-          name : entry.file_name,
-          site : directory.site,
-          path : entry.staging_path,
-          dm_tag : entry.dm_tag,
-          http_path : entry.http_path,
-          no_publish : entry.no_publish,
-
-        }));
+      // Child directories as Directory models
+      directory.directories = Directory.fromApiList(data.entries.filter(entry => entry.is_directory), 'files_list', { site : directory.site });
 
       //directory.files = [];
 
@@ -218,7 +482,7 @@ async function collectDirectoryInfo(directory) {
 
 }
 
-async function collectDirectorySettings(directory) {
+async function collectDirectorySettings(directory, { signal } = {}) {
 
 /**
  * Loads directory settings and copies key fields onto the directory object.
@@ -227,7 +491,7 @@ async function collectDirectorySettings(directory) {
  * @returns {Promise<Object>}
  */
 
-  return api.directories_settings({site : directory.site, path : directory.path})
+  return api.directories_settings({site : directory.site, path : directory.path, signal})
 
     .then(data => {
 
@@ -244,7 +508,7 @@ async function collectDirectorySettings(directory) {
 
 }
 
-async function collectPageInfo(page) {
+async function collectPageInfo(page, { signal } = {}) {
 
 /**
  * Loads page listing info from files_list and attaches:
@@ -254,7 +518,7 @@ async function collectPageInfo(page) {
  * @param {Object} page - {site, path, ...}
  */
 
-return api.files_list({site : page.site, path : page.path})
+return api.files_list({site : page.site, path : page.path, signal})
 
     .then(data => {
 
@@ -268,7 +532,7 @@ return api.files_list({site : page.site, path : page.path})
 
 }
 
-async function collectPageProperties(page) {
+async function collectPageProperties(page, { signal } = {}) {
 
 /**
  * Loads page properties (title, meta tags, parameters, tags) and attaches them to `page`.
@@ -276,7 +540,7 @@ async function collectPageProperties(page) {
  * @param {Object} page - {site, path, ...}
  */
 
-return api.files_properties({site : page.site, path : page.path})
+return api.files_properties({site : page.site, path : page.path, signal})
 
     .then(data => {
 
@@ -302,14 +566,14 @@ return api.files_properties({site : page.site, path : page.path})
 
 }
 
-async function collectFileSource(file) {
+async function collectFileSource(file, { signal, priority } = {}) {
 /**
  * Fetches file source and attaches it as `file.source`.
 *
  * @param {Object} file - {site, path, ...}
  */
 
-  return api.files_source({site : file.site, path : file.path})
+  return api.files_source({site : file.site, path : file.path, signal, priority})
 
     .then(data => {
 
@@ -321,23 +585,24 @@ async function collectFileSource(file) {
 
 }
 
-async function collectFilesSources(files) {
+async function collectFilesSources(files, { signal } = {}) {
 
 /**
  * Batch version of collectFileSource() for an array.
  * Mutates the objects in-place by adding .source.
  *
  * @param {Array<Object>} files
+ * @param {Object} [options] - { signal } cancels every pending source request
  * @returns {Promise<Array<Object>>}
  */
 
-  await Promise.all(files.map(file => collectFileSource(file)));
+  await Promise.all(files.map(file => collectFileSource(file, { signal, priority : 'bulk' })));
 
   return files; // Same objects now enriched with .source
 
 }
 
-async function collectTargets(view) {
+async function collectTargets(view, { signal } = {}) {
 
 /**
  * Loads publishing targets for the site and stores them on the view:
@@ -345,7 +610,7 @@ async function collectTargets(view) {
  * - view.staging_target: first target containing "-staging"
  */
 
-  return getTargets(view.site)
+  return getTargets(view.site, { signal })
 
     .then(targets => {
 
@@ -360,6 +625,50 @@ async function collectTargets(view) {
 
 }
 
+/** ------ [CONFIRM] ------ **/
+
+async function confirmModal(title, body, confirmText = 'Confirm', denyText = 'Cancel') {
+
+/**
+ * Shows a confirm modal (generateConfirmModal()) and waits for the answer.
+ * Resolves true if the confirm button was clicked, false if the modal was closed
+ * any other way. The modal removes itself from #modals (or the body, on pages without one) once hidden.
+ *
+ * @param {string} title
+ * @param {string} body - HTML string inserted into modal body
+ * @param {string} confirmText
+ * @param {string} denyText
+ */
+
+  let modal = generateConfirmModal(title, body, confirmText, denyText);
+
+  let confirmed = false;
+
+  // Answer through the promise instead of the page's runConfirm()
+  let button = modal.querySelector('.btn-primary');
+
+  button.removeAttribute('onclick');
+
+  button.addEventListener('click', () => confirmed = true);
+
+  (getElement('#modals') || document.body).appendChild(modal);
+
+  return new Promise(resolve => {
+
+    $(modal).one('hidden.bs.modal', () => {
+
+      modal.remove();
+
+      resolve(confirmed);
+
+    });
+
+    $(modal).modal('show');
+
+  });
+
+}
+
 /** ------ [CREATE] ------ **/
 
 async function createDirectory(name, site, path,  config = {}) {
@@ -375,40 +684,248 @@ async function createDirectory(name, site, path,  config = {}) {
  * @param {string} site - site name
  * @param {string} path - parent directory path
  * @param {Object} config - currently unused placeholder for future options
+ * @returns {Promise<Directory>}
  */
 
   if (name === '' || path.includes('.')) return;
 
   return api.files_new_folder({name : name, site : site, path : path})
 
-    .then(result => ({
+    .then(result => new Directory({
 
       name : name,
       site : site,
       path : `${path}/${name}`,
-      type : 'directory',
 
     }));
 
 }
 
+async function createAsset(name, site, type, content = '', { description, tags, priority } = {}) {
+
+/**
+ * Creates an asset in a site.
+ *
+ * @param {string} name - asset name
+ * @param {string} site - site name
+ * @param {string|number} type - CMS asset type (e.g. 'source')
+ * @param {string} content - initial content
+ * @param {Object} [options] - { description, tags, priority }
+ * @returns {Promise<Asset>} the new asset (the planned operation under api.dryRun)
+ */
+
+  return api.assets_new(dropUndefined({site : site, name : name, type : type, content : content, description, tags, priority}))
+
+    .then(result => (result.dryRun) ? result : getAsset({site : site, id : result.asset ?? result.id}));
+
+}
+
+async function createGroup(name, members = []) {
+
+/**
+ * Creates a group (Level 10).
+ *
+ * @param {string} name - group name
+ * @param {Array<string>} members - usernames
+ * @returns {Promise<Group>}
+ */
+
+  return api.groups_add({group : name, members : members})
+
+    .then(result => (result.dryRun) ? result : new Group({name : name, members : [...members]}));
+
+}
+
+async function createUser(user, settings = {}) {
+
+/**
+ * Creates a user (Level 10).
+ *
+ * @param {Object} user - {username, first_name, last_name, email, level?, password?}
+ * @param {Object} settings - other users_add params (approver, auth_type, ...)
+ * @returns {Promise<User>} the new user, read back from the CMS
+ */
+
+  let { username, ...fields } = user;
+
+  return api.users_add({user : username, ...fields, ...settings})
+
+    .then(result => (result.dryRun) ? result : getUser(username));
+
+}
+
+/** ------ [DIFF] ------ **/
+
+function diffLines(oldText = '', newText = '', { maxEdits = 2000 } = {}) {
+
+/**
+ * Line-by-line diff of two texts (Myers' algorithm, git's default).
+ * Returns one op per line, in order, for generateDiff():
+ *   { type : 'equal' | 'delete' | 'insert', text, oldLine, newLine }
+ * oldLine / newLine are 1-based (null on the side the line is not in).
+ *
+ * Past `maxEdits` changed lines the search stops and the differing middle is
+ * reported as deleted then inserted, which keeps huge rewrites cheap.
+ */
+
+  let a = String(oldText).split(/\r?\n/);
+
+  let b = String(newText).split(/\r?\n/);
+
+  // The common head and tail need no searching
+  let start = 0;
+
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+
+  let endB = b.length;
+
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  let n = endA - start;
+
+  let m = endB - start;
+
+  // v[offset + k]: furthest x reached on diagonal k (k = x - y)
+  let offset = n + m + 1;
+
+  let v = new Array(2 * offset + 1).fill(0);
+
+  // trace[d]: v[-d-1 .. d+1] before step d, for walking the path back
+  let trace = [];
+
+  let found = false;
+
+  for (let d = 0; d <= n + m && d <= maxEdits && !found; d++) {
+
+    trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+    for (let k = -d; k <= d; k += 2) {
+
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])) ? v[offset + k + 1] : v[offset + k - 1] + 1;
+
+      let y = x - k;
+
+      while (x < n && y < m && a[start + x] === b[start + y]) { x++; y++; }
+
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) { found = true; break; }
+
+    }
+
+  }
+
+  // Middle steps as [type, x, y] (indexes relative to `start`)
+  let steps = [];
+
+  if (found) {
+
+    let x = n;
+
+    let y = m;
+
+    for (let d = trace.length - 1; d >= 0; d--) {
+
+      let at = k => trace[d][k + d + 1];
+
+      let k = x - y;
+
+      let prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+
+      let prevX = at(prevK);
+
+      let prevY = prevX - prevK;
+
+      while (x > prevX && y > prevY) steps.push(['equal', --x, --y]);
+
+      if (d > 0) steps.push((x === prevX) ? ['insert', x, prevY] : ['delete', prevX, y]);
+
+      x = prevX;
+
+      y = prevY;
+
+    }
+
+    steps.reverse();
+
+  }
+
+  else {
+
+    for (let x = 0; x < n; x++) steps.push(['delete', x, 0]);
+
+    for (let y = 0; y < m; y++) steps.push(['insert', n, y]);
+
+  }
+
+  let ops = [];
+
+  for (let i = 0; i < start; i++) ops.push({ type : 'equal', text : a[i], oldLine : i + 1, newLine : i + 1 });
+
+  for (let [type, x, y] of steps) ops.push({
+
+    type,
+    text : (type === 'insert') ? b[start + y] : a[start + x],
+    oldLine : (type === 'insert') ? null : start + x + 1,
+    newLine : (type === 'delete') ? null : start + y + 1,
+
+  });
+
+  for (let i = 0; i < a.length - endA; i++) ops.push({ type : 'equal', text : a[endA + i], oldLine : endA + i + 1, newLine : endB + i + 1 });
+
+  return ops;
+
+}
+
+/** ------ [DROP] ------ **/
+
+function dropUndefined(params = {}) {
+
+/**
+ * Copies params without the keys whose value is undefined.
+ * Form encoding sends those as empty strings, which the CMS reads as "clear this field".
+ *
+ * @param {Object} params
+ * @returns {Object}
+ */
+
+  return Object.fromEntries(Object.entries(params).filter(([, value]) => value !== undefined));
+
+}
+
 /** ------ [ESCAPE] ------ **/
 
-function escapeDmTag (tag = '') {
+function escapeDmTag (tag = '') {
+
+/**
+ * Escapes curly braces for DM tags so they can be used in some regex/string contexts.
+ *
+ * @param {string} tag
+ */
+
+  return tag.replace(/\{/g, '\\{').replace(/\}/g, '\\}');
+
+}
+
+function escapeHtml(text = '') {
 
 /**
- * Escapes curly braces for DM tags so they can be used in some regex/string contexts.
+ * Escapes &, <, >, " and ' so text (file source, user input) can go into innerHTML or an attribute.
  *
- * @param {string} tag
+ * @param {string} text
  */
 
-  return tag.replace(/\{/g, '\\{').replace(/\}/g, '\\}');
+  const ENTITIES = { '&' : '&amp;', '<' : '&lt;', '>' : '&gt;', '"' : '&quot;', "'" : '&#39;' };
+
+  return String(text).replace(/[&<>"']/g, char => ENTITIES[char]);
 
 }
 
 /** ------ [FIND] ------ **/
 
-async function findText(siteName, paths = ['/'], text) {
+async function findText(siteName, paths = ['/'], text, { signal } = {}) {
 
 /**
  * Runs an Omni "find" job (find/replace with replace=false), then polls for results.
@@ -416,6 +933,7 @@ async function findText(siteName, paths = ['/'], text) {
  * @param {string} siteName
  * @param {Array<string>} paths - directories to search
  * @param {string} text - search string
+ * @param {Object} [options] - { signal } stops polling (the CMS job itself keeps running)
  */
 
   return api.sites_findreplace({
@@ -425,10 +943,11 @@ async function findText(siteName, paths = ['/'], text) {
     extensions : ['pcf'],
     srchstr : text,
     replace : false,
+    signal,
 
   })
 
-    .then(job => getFindReplaceResults(job.id, siteName));
+    .then(job => getFindReplaceResults(job.id, siteName, { signal }));
 
 }
 
@@ -588,6 +1107,116 @@ function generateCrumb(text, location = '', isLast = false, tooltip = '') {
 
 }
 
+function generateDiff(ops = [], { mode = 'inline', context = 3, oldLabel = 'Old', newLabel = 'New' } = {}) {
+
+/**
+ * Renders diffLines() output as a table, with a +added / -removed summary.
+ *
+ * @param {Array<Object>} ops - from diffLines()
+ * @param {Object} [options]
+ *   mode: 'inline' (one column of -/+ lines) or 'side-by-side' (old left, new right)
+ *   context: unchanged lines kept around each change; longer unchanged runs collapse
+ *     into one "N unchanged lines" row (-1 keeps everything)
+ *   oldLabel / newLabel: names of the two texts (e.g. 'Revision 3')
+ */
+
+  const ROW_CLASS = { equal : '', delete : 'table-danger', insert : 'table-success' };
+
+  const SIGN = { equal : '&nbsp;', delete : '-', insert : '+' };
+
+  let sideBySide = (mode === 'side-by-side');
+
+  let columns = (sideBySide) ? 4 : 3;
+
+  let added = ops.filter(op => op.type === 'insert').length;
+
+  let removed = ops.filter(op => op.type === 'delete').length;
+
+  let container = document.createElement('div');
+
+  container.classList.add('small');
+
+  container.innerHTML = `<div class="mb-1"><span class="badge badge-success mr-1">+${added}</span><span class="badge badge-danger mr-1">-${removed}</span>${escapeHtml(oldLabel)} &rarr; ${escapeHtml(newLabel)}</div>`;
+
+  if (!added && !removed) {
+
+    container.innerHTML += `<div class="text-secondary px-1 py-2">No differences</div>`;
+
+    return container;
+
+  }
+
+  // Cells; a missing op is the blank half of a side-by-side row
+  const number = (op, side) => `<td class="text-muted text-right px-1 ${(op) ? ROW_CLASS[op.type] : 'bg-light'}">${op?.[side] ?? ''}</td>`;
+
+  const line = op => (op)
+    ? `<td class="text-monospace text-break px-1 ${(sideBySide) ? 'w-50' : ''} ${ROW_CLASS[op.type]}" style="white-space: pre-wrap;">${SIGN[op.type]} ${escapeHtml(op.text)}</td>`
+    : `<td class="bg-light w-50"></td>`;
+
+  // Unchanged lines within `context` of a change stay visible
+  let visible = ops.map((op, i) => context < 0 || ops.slice(Math.max(0, i - context), i + context + 1).some(near => near.type !== 'equal'));
+
+  let rows = [];
+
+  let hidden = 0;
+
+  // Side by side: a change block's deletions pair up with its insertions
+  let deletes = [];
+
+  let inserts = [];
+
+  const flush = () => {
+
+    for (let i = 0; i < Math.max(deletes.length, inserts.length); i++) rows.push(`<tr>${number(deletes[i], 'oldLine')}${line(deletes[i])}${number(inserts[i], 'newLine')}${line(inserts[i])}</tr>`);
+
+    deletes = [];
+
+    inserts = [];
+
+  };
+
+  for (let [i, op] of ops.entries()) {
+
+    if (!visible[i]) {
+
+      hidden++;
+
+      continue;
+
+    }
+
+    if (hidden) rows.push(`<tr><td colspan="${columns}" class="text-center text-muted bg-light">${hidden} unchanged line${(hidden === 1) ? '' : 's'}</td></tr>`);
+
+    hidden = 0;
+
+    if (!sideBySide) rows.push(`<tr>${number(op, 'oldLine')}${number(op, 'newLine')}${line(op)}</tr>`);
+
+    else if (op.type === 'delete') deletes.push(op);
+
+    else if (op.type === 'insert') inserts.push(op);
+
+    else {
+
+      flush();
+
+      rows.push(`<tr>${number(op, 'oldLine')}${line(op)}${number(op, 'newLine')}${line(op)}</tr>`);
+
+    }
+
+  }
+
+  flush();
+
+  if (hidden) rows.push(`<tr><td colspan="${columns}" class="text-center text-muted bg-light">${hidden} unchanged line${(hidden === 1) ? '' : 's'}</td></tr>`);
+
+  let head = (sideBySide) ? `<thead><tr><th colspan="2" class="px-1">${escapeHtml(oldLabel)}</th><th colspan="2" class="px-1">${escapeHtml(newLabel)}</th></tr></thead>` : '';
+
+  container.innerHTML += `<div class="table-responsive"><table class="table table-sm table-borderless mb-0">${head}<tbody>${rows.join('')}</tbody></table></div>`;
+
+  return container;
+
+}
+
 function generatePageAccordion(pages = [], heading, checkboxes = false) {
 
 /**
@@ -676,7 +1305,7 @@ function generateListItem(item, checkbox = false) {
 
 /**
  * Generates one list-group item based on `item.type`.
- * Supported types: '', 'asset', 'binary', 'page', 'link', 'user'
+ * Supported types: '', 'approval', 'asset', 'binary', 'page', 'link', 'revision', 'user'
  */
 
   const CMS_URL_PRE = `${gadget.apihost}/11/#${gadget.skin}/${gadget.account}`;
@@ -699,6 +1328,43 @@ function generateListItem(item, checkbox = false) {
 
   }
 
+  // ----- Pending approvals (approve/decline buttons, see runApprovalAction()) -----
+  if (item.type === 'approval') {
+
+    // Sender, subject and path come from other users: escape everything shown or put in attributes
+    let site = escapeHtml(item.site);
+
+    let path = escapeHtml(item.path);
+
+    if (checkbox) input = `<input class="mr-1" data-site="${site}" data-path="${path}" data-type="approval" value="${site},${path}" type="checkbox"/>`;
+
+    icon = `<span class="material-symbols-outlined text-info align-self-center mr-2">approval</span>`;
+
+    // Site + sender badges
+    let badge = `<span class="badge badge-pill badge-info mr-1">${site}</span>`;
+
+    if (item.from) badge += `<span class="badge badge-pill badge-secondary mr-1">${escapeHtml(item.from)}</span>`;
+
+    let data = `data-site="${site}" data-path="${path}"`;
+
+    content = `<div class="flex-fill text-break">`;
+
+    content += `<a class="text-reset" href="${CMS_URL_PRE}/${site}/preview${path}" target="_blank">${badge}<br>${path}</a>`;
+
+    if (item.subject) content += `<br><span class="text-muted">${escapeHtml(item.subject)}</span>`;
+
+    content += `</div>`;
+
+    content += `<div class="btn-group btn-group-sm align-self-center ml-1">`;
+
+    content += `<button type="button" class="btn btn-outline-success" data-approval-action="approve" ${data} data-toggle="tooltip" title="Approve"><span class="material-symbols-outlined">check</span></button>`;
+
+    content += `<button type="button" class="btn btn-outline-danger" data-approval-action="decline" ${data} data-toggle="tooltip" title="Decline"><span class="material-symbols-outlined">close</span></button>`;
+
+    content += `</div>`;
+
+  }
+
   // ----- Asset entries -----
   if (item.type === 'asset') {
 
@@ -708,6 +1374,7 @@ function generateListItem(item, checkbox = false) {
       data-site="${item.site}"
       data-path="${item.path}"
       data-name="${item.name}"
+      data-asset="${item.id ?? ''}"
       data-type="asset"
       value="${item.site},${item.path}"
       type="checkbox"/>`;
@@ -837,6 +1504,33 @@ function generateListItem(item, checkbox = false) {
 
   }
 
+  // ----- File revisions (Old/New radios + restore button, see buildVersionHistory()) -----
+  if (item.type === 'revision') {
+
+    if (checkbox) input = `<div class="d-flex flex-column align-self-center mr-2">
+      <input class="mb-1" type="radio" name="version-old" value="${item.revision}" title="Compare from"/>
+      <input type="radio" name="version-new" value="${item.revision}" title="Compare to"/>
+    </div>`;
+
+    icon = `<span class="material-symbols-outlined text-info align-self-center mr-2">history</span>`;
+
+    // Revision + author badges
+    let badge = `<span class="badge badge-pill badge-info mr-1">r${item.revision}</span>`;
+
+    if (item.user) badge += `<span class="badge badge-pill badge-secondary mr-1">${escapeHtml(item.user)}</span>`;
+
+    content = `<div class="flex-fill text-break">${badge}`;
+
+    if (item.date) content += `<span class="text-muted">${new Date(item.date).toLocaleString()}</span>`;
+
+    if (item.message) content += `<br>${escapeHtml(item.message)}`;
+
+    content += `</div>`;
+
+    content += `<button type="button" class="btn btn-sm btn-outline-secondary align-self-center ml-1" data-version-action="restore" data-revision="${item.revision}" data-toggle="tooltip" title="Restore"><span class="material-symbols-outlined">restore</span></button>`;
+
+  }
+
   // ----- User entries -----
   if (item.type === 'user') {
 
@@ -990,20 +1684,20 @@ async function generateZIP(files = [], startingDirectory = '/') {
 
 /** ---- [GET ACCESS] ---- **/
 
-async function getAccessGroups() {
+async function getAccessGroups({ signal } = {}) {
 
 /**
  * Returns a map of access group name => array of members
- * (member list is split by ", " unless it is "N/A")
+ * (see Group.sources.groups; "N/A" becomes an empty list)
  */
 
-  return api.reports_custom({report : 'groups', g_memberlist: 'on'})
+  return api.reports_custom({report : 'groups', g_memberlist: 'on', signal})
 
     .then(report => {
 
       let groups = {};
 
-      for (let entry of report.records) groups[entry.g_name] = (entry.g_memberlist === 'N/A') ? [] : entry.g_memberlist.split(', ');
+      for (let group of Group.fromApiList(report.records, 'groups')) groups[group.name] = group.members;
 
       return groups;
 
@@ -1011,31 +1705,63 @@ async function getAccessGroups() {
 
 }
 
+/** ---- [GET APPROVALS] ---- **/
+
+async function getPendingApprovals({ user, signal } = {}) {
+
+/**
+ * Returns the pages waiting for approval by `user` (default: the current user),
+ * as Approval models {site, path, from, subject, message, submitted, type:'approval'}.
+ */
+
+  return api.workflow_list({ user, signal })
+
+    .then(data => Approval.fromApiList(data, 'workflow_list'));
+
+}
+
 /** ---- [GET ASSETS] ---- **/
 
-async function getAssets(page) {
+async function getAsset(asset, { signal } = {}) {
 
 /**
- * Returns dependency entries of type 'a' (assets) for a given page.
- * Output items are normalized to {site, name, path, type:'asset'}.
+ * Returns one asset (with its content) as an Asset model.
+ *
+ * @param {Object} asset - {site, id} or {site, name}
  */
 
-  return api.files_dependencies({site : page.site, path : page.path})
+  return api.assets_view({site : asset.site, asset : asset.id ?? asset.name, signal})
 
-    .then(data => {
+    .then(data => Asset.fromApi(data, 'assets_view', { site : asset.site }));
+
+}
 
-      if (data.dependencies) return data.dependencies
+async function getAssetDependents(asset, { signal } = {}) {
 
-        .filter(entry => entry.type === 'a')
+/**
+ * Returns the pages (and other files) that use an asset, as Page / BinaryFile models.
+ *
+ * @param {Object} asset - {site, id} or {site, name}
+ */
 
-        .map(entry => ({
+  return api.assets_dependents({site : asset.site, asset : asset.id ?? asset.name, signal})
 
-          site : entry.site,
-          name : entry.name,
-          path : entry.path,
-          type : 'asset',
+    .then(data => CmsFile.fromApiList(data, 'assets_dependents'));
 
-        }));
+}
+
+async function getAssets(page, { signal } = {}) {
+
+/**
+ * Returns dependency entries of type 'a' (assets) for a given page.
+ * Output items are Asset models {site, name, path, type:'asset'}.
+ */
+
+  return api.files_dependencies({site : page.site, path : page.path, signal})
+
+    .then(data => {
+
+      if (data.dependencies) return Asset.fromApiList(data.dependencies.filter(entry => entry.type === 'a'), 'dependencies');
 
       // If API returned unexpected shape, pass through raw data
       return data;
@@ -1044,32 +1770,36 @@ async function getAssets(page) {
 
 }
 
+async function getSiteAssets(site, { signal } = {}) {
+
+/**
+ * Returns every asset of a site (all assets_list pages) as Asset models.
+ */
+
+  return api.collect('assets_list', {site : site, signal})
+
+    .then(list => Asset.fromApiList(list, 'assets_list', { site : site }));
+
+}
+
 /** ---- [GET BINARY FILES] ---- **/
 
-async function getBinaryFiles(page) {
+async function getBinaryFiles(page, { signal } = {}) {
 
 /**
  * Returns dependency entries of type 'f' (files) excluding .pcf for a given page.
- * Output items are normalized to {site, path, type:'binary'}.
+ * Output items are BinaryFile models {site, path, type:'binary'}.
  */
 
-  return api.files_dependencies({site : page.site, path : page.path})
+  return api.files_dependencies({site : page.site, path : page.path, signal})
 
     .then(data => {
 
-      if (data.dependencies) return data.dependencies
+      if (data.dependencies) return BinaryFile.fromApiList(data.dependencies
 
         .filter(entry => entry.type === 'f')
 
-        .filter(entry => !entry.path.includes('.pcf'))
-
-        .map(entry => ({
-
-          site : entry.site,
-          path : entry.path,
-          type : 'binary',
-
-        }));
+        .filter(entry => !entry.path.includes('.pcf')), 'dependencies');
 
       return data;
 
@@ -1079,35 +1809,26 @@ async function getBinaryFiles(page) {
 
 /** ------ [GET COMPONENT] ------ **/
 
-async function getComponents() {
+async function getComponents({ signal } = {}) {
 
 /**
  * Returns the component list (Omni component API).
  */
 
-  return api.components_list();
+  return api.components_list({ signal });
 
 }
 
-async function getComponentDependents(name) {
+async function getComponentDependents(name, { signal } = {}) {
 
 /**
  * Returns pages that depend on a given component name.
- * Normalizes output to page objects with a generated dm_tag.
+ * Output items are Page models with a dm_tag built from the page ID.
  */
 
-  return api.components_dependents({name : name})
-
-    .then(data => data
-
-      .map(entry => ({
+  return api.components_dependents({name : name, signal})
 
-        site : entry.sitename,
-        path : entry.path,
-        dm_tag : '{{f:' + entry.pageID + '}}',
-        type : 'page',
-
-      })));
+    .then(data => Page.fromApiList(data, 'components_dependents'));
 
 }
 
@@ -1117,7 +1838,7 @@ async function getCurrentFile() {
 
 /**
  * Attempts to get the current file from the gadget context.
- * Normalizes to a common view/file object shape.
+ * Returns a Page or BinaryFile (with filename, lock_status and filetype), or nothing.
  */
 
   return gadget.getFileInfo()
@@ -1126,17 +1847,8 @@ async function getCurrentFile() {
 
       if (!data) return data;
 
-      return {
-
-        site : data.site,
-        path : data.stagingPath,
-        filename : data.filename,
-        http_path : data.productionUrl,
-        lock_status : data.lockStatus,
-        filetype : data.type,
-        type : (data.type === 'pcf') ? 'page' :'file',
-
-      }
+      // Outside a site (e.g. the dashboard) the info has no site; keep it as it comes
+      return CmsFile.fromApi(data, 'file_info', {}, { strict : false });
 
     });
 
@@ -1216,32 +1928,32 @@ async function getCurrentView() {
 
 /** ------ [GET DM TAG] ------ **/
 
-async function getDependencyTag(page) {
+async function getDependencyTag(page, { signal } = {}) {
 
 /**
  * Returns the dependency tag (dm_tag) for a page.
  * Assumes files_list returns the page as entries[0].
  */
 
-  return api.files_list({site : page.site, path : page.path})
+  return api.files_list({site : page.site, path : page.path, signal})
 
     .then(data => data.entries[0].dm_tag);
 
 }
 
-async function getDirectoryDmTag(directory) {
+async function getDirectoryDmTag(directory, { signal } = {}) {
 
 /**
  * Returns directory dm_tag for a directory.
  */
 
-  return api.files_list({site : directory.site, path : directory.path})
+  return api.files_list({site : directory.site, path : directory.path, signal})
 
     .then(data => data.dm_tag);
 
 }
 
-async function getDmTagByUrl(url) {
+async function getDmTagByUrl(url, { signal } = {}) {
 
 /**
  * Converts a public URL into a CMS dependency tag by:
@@ -1266,7 +1978,7 @@ async function getDmTagByUrl(url) {
   let parts = urlObj.pathname.split('/').filter(item => item);
 
   // Find which CMS site corresponds to the domain
-  let site = await getSiteByDomain(urlObj.hostname);
+  let site = await getSiteByDomain(urlObj.hostname, { signal });
 
   for (let part of parts) {
 
@@ -1274,7 +1986,7 @@ async function getDmTagByUrl(url) {
     if (part.includes('.')) part = part.replace(/\.(htm|aspx)$/i, '.pcf');
 
     // Resolve actual entry name (handles case/canonical names)
-    let entry = await getDirectoryEntry({site : site, path : path} , part);
+    let entry = await getDirectoryEntry({site : site, path : path} , part, { signal });
 
     part = entry.file_name;
 
@@ -1287,13 +1999,13 @@ async function getDmTagByUrl(url) {
 
   if (!path.includes('.')) path += '/default.htm';
 
-  return getDependencyTag({ site : site, path : path });
+  return getDependencyTag({ site : site, path : path }, { signal });
 
 }
 
 /** ------ [GET DIRECTORY] ------ **/
 
-async function getDirectories(directory, includeSubdirs = false, filters = []) {
+async function getDirectories(directory, includeSubdirs = false, filters = [], { signal } = {}) {
 
 /**
  * Gets directories using a custom "directories" report.
@@ -1315,6 +2027,7 @@ async function getDirectories(directory, includeSubdirs = false, filters = []) {
     //d_tmplgroup : 'on',
     //d_dirvariables : 'on',
     d_address_str : startPath,
+    signal,
 
     })
 
@@ -1332,25 +2045,14 @@ async function getDirectories(directory, includeSubdirs = false, filters = []) {
 
       })
 
-      .map(entry => ({
-
-        site : gadget.site,
-        path : entry.d_address,
-        dm_tag : entry.d_dtag,
-        access : entry.d_access,
-        //template_group : entry.d_tmplgroup,
-        //variables : entry.d_dirvariables,
-        http_path : `${gadget.site}${entry.d_address}`,
-        type : 'directory',
-
-      })));
+      .map(entry => Directory.fromApi(entry, 'directories', { site : api.site })));
 
 }
 
-async function getDirectoryFiles(directory, includeSubdirectories = false, filters = []) {
+async function getDirectoryFiles(directory, includeSubdirectories = false, filters = [], { signal } = {}) {
 
 /**
- * Gets files/pages within a directory using "products" report.
+ * Gets files/pages within a directory using "products" report, as Page / BinaryFile models.
  * Optionally limits to direct children (no deep recursion).
  */
 
@@ -1361,7 +2063,8 @@ async function getDirectoryFiles(directory, includeSubdirectories = false, filte
     pd_access : 'on',
     pd_dtag : 'on',
     pd_address_str : directory.path,
-    pd_filename : 'on'
+    pd_filename : 'on',
+    signal,
 
   })
 
@@ -1385,41 +2088,30 @@ async function getDirectoryFiles(directory, includeSubdirectories = false, filte
 
         })
 
-        .map(entry => ({
-
-          site : gadget.site,
-          path : entry.pd_address,
-          dm_tag : entry.pd_dtag,
-          access : entry.pd_access,
-          filename : entry.pd_filename,
-          // Convert report path into a usable URL-ish path by swapping filename
-          http_path : `${gadget.site}${entry.pd_address.replace(entry.pd_address.split('/').pop(), entry.pd_filename)}`,
-          type : (entry.pd_address.includes('.pcf')) ? 'page' : 'file',
-
-        })));
+        .map(entry => CmsFile.fromApi(entry, 'products', { site : api.site })));
 
 }
 
-async function getDirectoryEntries(directory) {
+async function getDirectoryEntries(directory, { signal } = {}) {
 
 /**
- * Returns raw directory entries (files_list).
+ * Returns raw directory entries (files_list), not models: callers match on `file_name`.
  */
 
-  return api.files_list({ site : directory.site, path : directory.path })
+  return api.files_list({ site : directory.site, path : directory.path, signal })
 
     .then(data => data.entries);
 
 }
 
-async function getDirectoryEntry(directory, name) {
+async function getDirectoryEntry(directory, name, { signal } = {}) {
 
 /**
  * Finds an entry in a directory by filename, case-insensitive.
  * Returns the matching entry object or undefined.
  */
 
-  return getDirectoryEntries(directory)
+  return getDirectoryEntries(directory, { signal })
 
     .then(entries => {
 
@@ -1435,13 +2127,13 @@ async function getDirectoryEntry(directory, name) {
 
 }
 
-async function getDirectorySettings(directory) {
+async function getDirectorySettings(directory, { signal } = {}) {
 
 /**
  * Returns directory settings as a standalone object (does not mutate input).
  */
 
-  return api.directories_settings({site : directory.site, path : directory.path})
+  return api.directories_settings({site : directory.site, path : directory.path, signal})
 
     .then(data => {
 
@@ -1510,6 +2202,7 @@ async function getFindReplaceResults(id, site, {
 
   initialDelayMs = 750,
   maxDelayMs = 5000,
+  signal,
 
   } = {}) {
 
@@ -1522,15 +2215,17 @@ async function getFindReplaceResults(id, site, {
  * @param {Object} options
  * @param {number} options.initialDelayMs
  * @param {number} options.maxDelayMs
+ * @param {AbortSignal} [options.signal] - stops polling
  */
 
   let delay = initialDelayMs;
 
   while (true) {
 
-    await new Promise(r => setTimeout(r, delay));
+    // An abort ends the wait early; the status call below then rejects.
+    await wait(delay, signal);
 
-    const results = await api.sites_findreplacestatus({ id, site });
+    const results = await api.sites_findreplacestatus({ id, site, signal });
 
     if (results.finished) return results;
 
@@ -1541,36 +2236,38 @@ async function getFindReplaceResults(id, site, {
 
 }
 
-async function getLatestVersion(file) {
+async function getLatestVersion(file, { signal } = {}) {
 
 /**
  * Returns latest revision number (0 if no versions exist).
  */
 
-  return api.files_versions({site : file.site, path : file.path})
+  return api.files_versions({site : file.site, path : file.path, signal})
 
     .then(versions => (!versions[0]) ? 0 : versions[0].revision);
 
 }
 
-async function getLockedFiles() {
+async function getLockedFiles({ signal } = {}) {
 
 /**
  * Gets locked files across all sites (optionally including dev sites).
- * Normalizes entry types into 'binary' or 'page' where applicable.
+ * Entries become Page / BinaryFile / Directory models typed as before ('pcf'/'txt'/'html' => 'page',
+ * 'img'/'doc' => 'binary', see CmsFile.lockedTypes; unmapped types are kept as-is); the CMS file type
+ * is also kept as `filetype`.
  */
 
-  return getSites(false)
+  return getSites(false, { signal })
 
     .then(sites => {
 
       let promises = [];
 
-      for (let site of sites) promises.push(api.files_locked({site : site.name})
+      for (let site of sites) promises.push(api.files_locked({site : site.name, signal, priority : 'bulk'})
 
         .then(data => {
 
-          return data.filter(entry => {
+          let entries = data.filter(entry => {
 
             // Skip assets
             if (entry.type === 'asset') return false;
@@ -1578,18 +2275,12 @@ async function getLockedFiles() {
             // Skip recycled items
             if (entry.path.includes('/recycle_bin')) return false; 
 
-            // Annotate site onto each entry
-            entry.site = site.name;
-
-            // Normalize file types into your UI categories
-            if (entry.type === 'img' || entry.type === 'doc') entry.type = 'binary';
-
-            if (entry.type === 'pcf' || entry.type === 'txt' || entry.type === 'html') entry.type = 'page';
-
             return true;
 
           });
 
+          return CmsFile.fromApiList(entries, 'files_locked', { site : site.name });
+
         }));
 
       // Flatten per-site results into one array
@@ -1603,7 +2294,7 @@ async function getLockedFiles() {
 
 /** ------ [GET PAGE] ------ **/
 
-async function getPageContent(page, labels = []) {
+async function getPageContent(page, labels = [], { signal } = {}) {
 
 /**
  * Gets page content:
@@ -1611,11 +2302,11 @@ async function getPageContent(page, labels = []) {
  * - If labels: fetches each label version and flattens results
  */
 
-  if (labels.length === 0) return api.files_content({site : page.site, path : page.path});
+  if (labels.length === 0) return api.files_content({site : page.site, path : page.path, signal});
 
   let promises = [];
 
-  for (let label of labels) promises.push(api.files_content({site : page.site, path : page.path, label : label}));
+  for (let label of labels) promises.push(api.files_content({site : page.site, path : page.path, label : label, signal}));
 
   return Promise.all(promises)
 
@@ -1623,7 +2314,7 @@ async function getPageContent(page, labels = []) {
 
 }
 
-async function getPageContentLinks(page) {
+async function getPageContentLinks(page, { signal } = {}) {
 
 /**
  * Parses the page HTML content and extracts all links in <main>.
@@ -1633,7 +2324,7 @@ async function getPageContentLinks(page) {
  */
 
   // Lazy-load content if not already present
-  if (!page.content) page.content = await getPageContent(page);
+  if (!page.content) page.content = await getPageContent(page, [], { signal });
 	
   let html = Document.parseHTMLUnsafe(page.content);
 
@@ -1649,7 +2340,7 @@ async function getPageContentLinks(page) {
 
 }
 
-async function getPageSource(page, label = '') {
+async function getPageSource(page, label = '', { signal } = {}) {
 
 /**
  * Returns source (code) of a page.
@@ -1660,6 +2351,7 @@ async function getPageSource(page, label = '') {
 
     site : page.site,
     path : page.path,
+    signal,
 
   };
 
@@ -1671,33 +2363,55 @@ async function getPageSource(page, label = '') {
 
 }
 
-async function getPageUrl(page) {
+async function getPageUrl(page, { signal } = {}) {
 
 /**
  * Returns public http_path for a page.
  */
 
-  return api.files_list({site : page.site, path : page.path})
+  return api.files_list({site : page.site, path : page.path, signal})
 
     .then(data => data.entries[0].http_path);
 
 }
 
-async function getPublishingStatus(page) {
+async function getPublishingStatus(page, { signal } = {}) {
 
 /**
  * Returns no_publish flag for a page (publishing status).
  */
 
-  return api.files_settings({site : page.site, path : page.path})
+  return api.files_settings({site : page.site, path : page.path, signal})
 
     .then(data => data.no_publish);
 
 }
 
+/** ------ [GET SCHEDULE] ------ **/
+
+async function getScheduledJobs(item, { action, signal } = {}) {
+
+/**
+ * Returns scheduled jobs as ScheduledJob models, soonest first:
+ * for a page its own jobs, for a directory every job at or under it.
+ *
+ * @param {Object} item - {site, path}
+ * @param {Object} [options] - { action : 'publish'|'expire' (default both), signal }
+ */
+
+  return api.files_scheduled({site : item.site, path : item.path, signal})
+
+    .then(data => ScheduledJob.fromApiList(data, 'files_scheduled', { site : item.site })
+
+      .filter(job => !action || job.action === action)
+
+      .sort((a, b) => new Date(a.date) - new Date(b.date)));
+
+}
+
 /** ------ [GET SITE] ------ **/
 
-async function getSiteByDomain(domain) {
+async function getSiteByDomain(domain, { signal } = {}) {
 
 /**
  * Maps a domain to a CMS site by comparing api.sites_list() URLs.
@@ -1706,15 +2420,13 @@ async function getSiteByDomain(domain) {
 
   domain = domain.toLowerCase();
 
-  return api.sites_list()
+  return api.sites_list({ signal })
 
     .then(list => {
 
-      for (let entry of list) {
+      for (let site of Site.fromApiList(list, 'sites_list')) {
 
-        let siteUrl = entry.url.toLowerCase().replace('https://', '').replace(/\/$/, '');
-
-        if (siteUrl === domain) return entry.site
+        if (site.http_path.toLowerCase().replace('https://', '') === domain) return site.name;
 
       }
 
@@ -1724,13 +2436,13 @@ async function getSiteByDomain(domain) {
 
 }
 
-async function getSiteList(excludeDevSites = true) {
+async function getSiteList(excludeDevSites = true, { signal } = {}) {
 
 /**
  * Returns an array of site names, optionally excluding DEV_SITES.
  */
 
-  return api.sites_list()
+  return api.sites_list({ signal })
 
     .then(list => {
 
@@ -1746,16 +2458,16 @@ async function getSiteList(excludeDevSites = true) {
 
 }
 
-async function getSites(excludeDevSites = true) {
+async function getSites(excludeDevSites = true, { signal } = {}) {
 
 /**
- * Returns list of sites from a custom "sites" report.
+ * Returns Site models from a custom "sites" report.
  * Filters:
  * - optional dev sites exclusion
  * - only records where s_name === s_targetname (avoids aliases/duplicates)
  */
 
-  return api.reports_custom({site : gadget.site, report : 'sites', s_serverpath : 'on'})
+  return api.reports_custom({site : api.site, report : 'sites', s_serverpath : 'on', signal})
 
     .then(report => {
 
@@ -1765,12 +2477,7 @@ async function getSites(excludeDevSites = true) {
 
         .filter((entry) => entry.s_name === entry.s_targetname)
 
-        .map((entry) => ({
-
-          name : entry.s_name,
-          http_path : entry.s_serverpath.replace(/\/$/, ''),
-
-        }));
+        .map((entry) => Site.fromApi(entry, 'sites'));
 
     });
 
@@ -1778,21 +2485,19 @@ async function getSites(excludeDevSites = true) {
 
 /** ------ [GET SUBSCRIBERS] ------ **/
 
-async function getSubscribers(page) {
+async function getSubscribers(page, { signal } = {}) {
 
 /**
- * Returns page subscribers for a given page, normalized to {site, path, type:'page'}.
+ * Returns page subscribers for a given page, as Page models {site, path, type:'page'}.
  */
 
-  return api.files_products({site : page.site, path : page.path, subscribers : true})
+  return api.files_products({site : page.site, path : page.path, subscribers : true, signal})
 
   .then(data => {
 
-    if (data[0].subscribers.pages) return data[0].subscribers.pages
+    if (data[0].subscribers.pages) return Page.fromApiList(data[0].subscribers.pages
 
-      .filter(entry => entry.sitename && entry.path)
-
-      .map(entry => ({site : entry.sitename, path : entry.path, type : 'page'}));
+      .filter(entry => entry.sitename && entry.path), 'subscribers');
 
     return;
 
@@ -1802,13 +2507,13 @@ async function getSubscribers(page) {
 
 /** ------ [GET TARGET] ------ **/
 
-async function getStagingTarget(site) {
+async function getStagingTarget(site, { signal } = {}) {
 
 /**
  * Convenience helper: returns the first target containing "-staging".
  */
 
-  return getTargets(site).then(targets => {
+  return getTargets(site, { signal }).then(targets => {
 
       for (let target of targets) if (target.includes('-staging')) return target;
 
@@ -1818,13 +2523,13 @@ async function getStagingTarget(site) {
 
 }
 
-async function getTargets(site) {
+async function getTargets(site, { signal } = {}) {
 
 /**
  * Returns list of publishing targets for a site.
  */
 
-  return api.sites_targets({ site : site })
+  return api.sites_targets({ site : site, signal })
 
     .then(data => data.targets);
 
@@ -1840,82 +2545,224 @@ function getToday() {
  * Uses 'en-CA' locale because it formats ISO-like date strings.
  */
 
-  return new Date().toLocaleDateString('en-CA');
+  return new Date().toLocaleDateString('en-CA');
+
+}
+
+/** ------ [GET USER] ------ **/
+
+async function getUser(username = '', { signal } = {}) {
+
+/**
+ * Returns a User model (all users_view fields plus the display names):
+ * - if username is empty -> current user
+ * - else -> specific user
+ */
+
+  let config = (username) ? { user : username, signal } : { signal };
+
+  return api.users_view(config)
+
+    .then(data => User.fromApi(data, 'users_view'));
+
+}
+
+async function getUsers({ signal } = {}) {
+
+/**
+ * Returns a map: username -> User model.
+ */
+
+  return api.users_list({ signal })
+
+    .then(data => {
+
+      let users = {};
+
+      for (let user of data) {
+
+        if (user.username) users[user.username] = User.fromApi(user, 'users_list');
+
+      }
+
+      return users;
+
+    });
+
+}
+
+/** ------ [GET VERSIONS] ------ **/
+
+async function getRevisionSource(file, revision, { signal } = {}) {
+
+/**
+ * Returns the source a file had at `revision` (see getVersions()).
+ */
+
+  return api.files_source({site : file.site, path : file.path, revision, signal})
+
+    .then(data => data.source);
+
+}
+
+async function getVersions(file, { signal } = {}) {
+
+/**
+ * Returns a file's version history as Revision models, newest first:
+ * { site, path, revision, user, date, message }
+ */
+
+  return api.files_versions({site : file.site, path : file.path, signal})
+
+    .then(versions => Revision.fromApiList(versions, 'files_versions', {site : file.site, path : file.path}));
+
+}
+
+/** -------- [GROUP] -------- **/
+
+function groupByProperty(array, property) {
+
+/**
+ * Groups an array of objects by a property value.
+ *
+ * @param {Array<Object>} array
+ * @param {string} property - key name to group by
+ * @returns {Object} { [propertyValue]: [entries...] }
+ */
+
+  return array.reduce((acc, entry) => { // acc = accumulator
+
+    let key = entry[property];
+
+    if (!acc[key]) acc[key] = [];
+
+    acc[key].push(entry);
+
+    return acc;
+
+  }, {});
+
+}
+
+/** ------ [GROUP MEMBERS] ------ **/
+
+async function addUsersToGroup(group, usernames, { stopOnError, onProgress, signal } = {}) {
+
+/**
+ * Adds users to a group (Level 10).
+ * Each user is looked up first, so unknown usernames fail on their own; members
+ * already in the group are skipped as 'unchanged'. The group is then saved once.
+ *
+ * @param {Group|string} group - Group or group name
+ * @param {Array<string>} usernames
+ * @param {Object} [options] - api.batch() options { stopOnError, onProgress, signal }
+ * @returns {Promise<Object>} api.batch() result (values are User models) plus `group`, the saved Group
+ */
+
+  let current = await getGroup(group, { signal });
 
-}
+  let batch = await api.batch(usernames, username => getUser(username, { signal }), {
 
-/** ------ [GET USER] ------ **/
+    label : 'add to group',
+    skip : username => current.members.includes(username) && 'unchanged',
 
-async function getUser(username = '') {
+    stopOnError,
+    onProgress,
+    signal,
 
-/**
- * Returns user info:
- * - if username is empty -> current user
- * - else -> specific user
- */
+  });
 
-  if (!username) return api.users_view();
+  let added = batch.results.filter(result => result.status === 'success').map(result => result.item);
 
-  return api.users_view({ user : username });    
+  return saveGroupMembers(current, [...current.members, ...added], batch);
 
 }
 
-async function getUsers() {
+async function getGroup(group, { signal } = {}) {
 
 /**
- * Returns a map: username -> user object (normalized fields).
+ * Returns a group with its members as a Group model (Level 10).
+ *
+ * @param {Group|string} group - Group or group name
  */
 
-  return api.users_list()
+  let name = (typeof group === 'string') ? group : group.name;
 
-    .then(data => {
+  return api.groups_view({group : name, signal})
 
-      let users = {};
+    .then(data => Group.fromApi(data, 'groups_view'));
 
-      for (let user of data) {
+}
+
+async function removeUsersFromGroup(group, usernames, { signal } = {}) {
+
+/**
+ * Removes users from a group (Level 10).
+ * Users who are not members are skipped as 'not_member'. The group is then saved once.
+ *
+ * @param {Group|string} group - Group or group name
+ * @param {Array<string>} usernames
+ * @param {Object} [options] - { signal } cancels reading the group
+ * @returns {Promise<Object>} api.batch()-shaped result plus `group`, the saved Group
+ */
 
-        if (user.username) users[user.username] = {
+  let current = await getGroup(group, { signal });
 
-          first_name : user.first_name,
-          last_name : user.last_name,
-          username : user.username,
-          full_name : `${user.first_name} ${user.last_name}`,
-          reverse_name : `${user.last_name}, ${user.first_name}`,
-          type : 'user',
+  // Nothing to do per user: members are removed by the one save, the others are skipped.
+  let results = usernames.map((username, index) => (current.members.includes(username)) ?
 
-        }
+    { item : username, index, status : 'success', value : username } :
 
-      }
+    { item : username, index, status : 'skipped', reason : 'not_member' });
 
-      return users;
+  let succeeded = results.filter(result => result.status === 'success').length;
 
-    });
+  let batch = { results, succeeded, failed : 0, skipped : results.length - succeeded, stopped : false };
 
-}
+  return saveGroupMembers(current, current.members.filter(member => !usernames.includes(member)), batch);
 
-/** -------- [GROUP] -------- **/
+}
 
-function groupByProperty(array, property) {
+async function saveGroupMembers(group, members, batch) {
 
 /**
- * Groups an array of objects by a property value.
+ * Saves the member list computed by addUsersToGroup() / removeUsersFromGroup(), then
+ * reads the group back to confirm it. If the save fails or the CMS kept a different
+ * list, every user it would have changed is reported as an error.
  *
- * @param {Array<Object>} array
- * @param {string} property - key name to group by
- * @returns {Object} { [propertyValue]: [entries...] }
+ * @param {Group} group - the group as read before the batch
+ * @param {Array<string>} members - the new member list
+ * @param {Object} batch - api.batch() result of the per-user step
  */
 
-  return array.reduce((acc, entry) => { // acc = accumulator
+  let changed = batch.results.filter(result => result.status === 'success');
 
-    let key = entry[property];
+  if (changed.length === 0) return { ...batch, group };
 
-    if (!acc[key]) acc[key] = [];
+  let saved;
 
-    acc[key].push(entry);
+  try {
 
-    return acc;
+    // Form encoding drops an empty array, and the CMS would keep the old members
+    let result = await api.groups_save({group : group.name, members : (members.length) ? members : ''});
 
-  }, {});
+    saved = (result.dryRun) ? new Group({name : group.name, members : members}) : await getGroup(group.name);
+
+    let matches = saved.members.length === members.length && members.every(member => saved.members.includes(member));
+
+    if (!matches) throw new Error(`${group.name} was saved, but the CMS kept a different member list`);
+
+  }
+
+  catch (error) {
+
+    for (let result of changed) Object.assign(result, { status : 'error', value : undefined, error });
+
+    return { ...batch, succeeded : 0, failed : batch.failed + changed.length, group : saved ?? group };
+
+  }
+
+  return { ...batch, group : saved };
 
 }
 
@@ -1937,6 +2784,26 @@ async function initTooltips() {
 
 }
 
+async function initPermissions(root = document) {
+
+/**
+ * Hides controls the current user's level cannot use.
+ * Mark controls with the endpoint they call (and optionally the method):
+ *
+ *   <button data-endpoint="sites_findreplace">Replace</button>
+ *   <button data-endpoint="directories_settings" data-method="POST">Save</button>
+ *
+ * @param {ParentNode} root - element to search (defaults to the whole document)
+ */
+
+  let elements = [...root.querySelectorAll('[data-endpoint]')];
+
+  let allowed = await Promise.all(elements.map(element => api.can(element.dataset.endpoint, element.dataset.method)));
+
+  elements.forEach((element, index) => element.classList.toggle('d-none', !allowed[index]));
+
+}
+
 /** ------ [LOAD] ------ **/
 
 async function loadBreadcrumb(view) {
@@ -1957,16 +2824,17 @@ async function loadBreadcrumb(view) {
 
 /* -------- [PUBLISH][UNPUBLISH] -------- */
 
-async function publishPage(page, target = '', override = false) {
+async function publishPage(page, target = '', override = false, { priority, signal } = {}) {
 
 /**
  * Publishes a page to a target.
  * @param {Object} page - {site, path}
  * @param {string} target - optional target override
  * @param {boolean} override - publish even if warnings/locks allow override
+ * @param {Object} [options] - { priority, signal } CmsApi queue lane, AbortSignal
  */
 
-  let config = {site : page.site, path : page.path};
+  let config = {site : page.site, path : page.path, priority, signal};
 
   if (target !== '') config.target = target;
 
@@ -1976,20 +2844,46 @@ async function publishPage(page, target = '', override = false) {
 
 }
 
-async function publishPageFull(page) {
+async function publishAsset(asset, target = '', { priority } = {}) {
+
+/**
+ * Publishes an asset (to the site's default target unless `target` is given).
+ *
+ * @param {Object} asset - Asset, or {site, id} / {site, name}
+ * @returns {Promise<Asset>} the asset (fetched when only an id or name was given)
+ */
+
+  let config = {site : asset.site, asset : asset.id ?? asset.name, priority};
+
+  if (target !== '') config.target = target;
+
+  return api.assets_publish(config)
+
+    .then(() => (asset instanceof Asset) ? asset : getAsset(asset));
+
+}
+
+async function publishPageFull(page, { stopOnError, onProgress, signal } = {}) {
 
 /**
  * Publishes to all targets found for the page's site.
  * Ensures `page.targets` exists.
+ *
+ * @param {Object} page - {site, path, targets?}
+ * @param {Object} [options] - api.batch() options { stopOnError, onProgress, signal }
+ * @returns {Promise<Object>} api.batch() result, one entry per target
  */
 
-  let promises = [];
+  if (!page.targets) page.targets = await getTargets(page.site, { signal });
 
-  if (!page.targets) page.targets = await getTargets(page.site);
+  return api.batch(page.targets, target => publishPage(page, target, true, { priority : 'bulk', signal }), {
 
-  for (let target of page.targets) promises.push(publishPage(page, target, true));
+    label : 'publish',
+    stopOnError,
+    onProgress,
+    signal,
 
-  return Promise.all(promises);
+  });
 
 }
 
@@ -2015,11 +2909,13 @@ async function unpublishPage(page, target = '') {
 
 /** ------ [REPLACE] ------ **/
 
-async function replaceText(siteName, paths = ['/'], text = '', replacement = '') {
+async function replaceText(siteName, paths = ['/'], text = '', replacement = '', { signal } = {}) {
 
 /**
  * Runs a find/replace job across paths and waits for completion.
  * include_components=true enables searching component content.
+ * Aborting `signal` only stops waiting; a started job keeps running in the CMS.
+ * With api.dryRun on, resolves with the planned operation instead.
  */
 
   return api.sites_findreplace({
@@ -2033,65 +2929,225 @@ async function replaceText(siteName, paths = ['/'], text = '', replacement = '')
     include_components : true,
     log : 'FindReplace : Replaced text',
     //casesensitive : true,
+    signal,
 
   })
 
-    .then(job => getFindReplaceResults(job.id, siteName));
+    // Dry run: nothing to wait for, hand back the planned operation.
+    .then(job => (job.dryRun) ? job : getFindReplaceResults(job.id, siteName, { signal }));
 
 }
 
-/** ------ [SET] ------ **/
+/** ------ [RESTORE] ------ **/
 
-async function setDirectoriesAccess(directories, access) {
+async function restoreRevision(file, revision, { confirm = true, priority } = {}) {
 
 /**
- * Sets access for many directories.
- * Returns counts of updated vs already-correct.
+ * Restores a file to an older revision (files_revert); the current source stays in
+ * the history as a version. Asks with confirmModal() first and resolves null if the
+ * user backs out.
+ *
+ * @param {Object} file - {site, path}
+ * @param {number} revision
+ * @param {Object} [options] - { confirm, priority } confirm:false skips the modal
  */
 
-  let promises = [];
+  let body = `Restore <b>${escapeHtml(file.path)}</b> to revision ${revision}? The current version stays in the history.`;
 
- // Only update directories that don't already have the desired access
-  let filtered = directories.filter(entry => entry.access !== access);
+  if (confirm && !(await confirmModal('Restore Revision', body, 'Restore', 'Cancel'))) return null;
 
-  for (let directory of filtered) promises.push(setDirectorySettings(directory, {access : access}));
+  return api.files_revert({site : file.site, path : file.path, revision, priority});
 
-  return Promise.all(promises)
+}
 
-    .then(results => ({
+/** ------ [SAVE] ------ **/
 
-      updated : results.length,
-      verified : (directories.length - results.length),
+async function saveAsset(asset, changes = {}, { priority } = {}) {
 
-    }));
+/**
+ * Saves asset changes with the usual checkout -> save -> checkin cycle.
+ * The asset is checked in again even when the save fails.
+ *
+ * @param {Object} asset - Asset, or {site, id} / {site, name}
+ * @param {Object} changes - any of { content, name, description, tags }
+ * @returns {Promise<Asset>} the saved asset, re-read from the CMS
+ */
+
+  // A fresh params object per call (requests add the token to the one they get)
+  const config = () => ({site : asset.site, asset : asset.id ?? asset.name, priority});
+
+  await api.assets_checkout(config());
+
+  try {
+
+    await api.assets_save(dropUndefined({...config(), ...changes}));
+
+  }
+
+  catch (error) {
+
+    // Still check in, but report the save failure rather than a failed checkin
+    await api.assets_checkin(config()).catch(() => {});
+
+    throw error;
+
+  }
+
+  await api.assets_checkin(config());
+
+  // A rename changes the name getAsset() would look up
+  return getAsset({site : asset.site, id : asset.id, name : changes.name ?? asset.name});
 
 }
 
-async function setDirectoriesExtensions(directories, extensions) {
+async function saveUser(username, changes = {}) {
 
 /**
- * Sets extensions for many directories.
- * Returns counts of updated vs already-correct.
+ * Saves user settings (Level 10); fields that are left out keep their value.
+ *
+ * @param {string} username
+ * @param {Object} changes - e.g. { email, level, approver }
+ * @returns {Promise<User>} the saved user, read back from the CMS
  */
 
-  let promises = [];
+  return api.users_save({user : username, ...changes})
 
-  let filtered = directories.filter(entry => entry.extensions !== extensions);
+    .then(result => (result.dryRun) ? result : getUser(username));
 
-  for (let directory of filtered) promises.push(setDirectorySettings(directory, {extensions : extensions}));
+}
 
-  return Promise.all(promises)
+/** ------ [SCHEDULE] ------ **/
 
-    .then(results => ({
+async function cancelScheduledJobs(item, { action, priority } = {}) {
 
-      updated : results.length,
-      verified : (directories.length - results.length),
+/**
+ * Cancels scheduled jobs in one call:
+ * - a ScheduledJob: just that job
+ * - a page: its jobs; a directory: every job at or under it
+ *
+ * @param {Object} item - ScheduledJob, or {site, path}
+ * @param {Object} [options] - { action : 'publish'|'expire' (default both), priority }
+ * @returns {Promise<Array<ScheduledJob>>} the cancelled jobs
+ */
 
-    }));
+  let jobs = (item instanceof ScheduledJob) ? [item] : await getScheduledJobs(item, { action });
+
+  if (jobs.length === 0) return jobs;
+
+  return api.files_unschedule({site : item.site, id : jobs.map(job => job.id), priority})
+
+    .then(() => jobs);
+
+}
+
+function scheduleDate(date) {
+
+/**
+ * Normalizes a schedule date to an ISO string.
+ * Throws a TypeError for invalid dates and a RangeError for dates that are not in the future.
+ *
+ * @param {Date|string|number} date
+ */
+
+  let value = new Date(date);
+
+  if (isNaN(value)) throw new TypeError(`Invalid schedule date: ${date}`);
+
+  if (value <= new Date()) throw new RangeError(`Schedule date must be in the future: ${value.toISOString()}`);
+
+  return value.toISOString();
+
+}
+
+async function scheduleExpiration(item, date, { target = '', expireType, redirect, priority } = {}) {
+
+/**
+ * Schedules a page or directory to expire from its published target at `date`.
+ *
+ * @param {Object} item - {site, path}
+ * @param {Date|string|number} date - must be in the future
+ * @param {Object} [options] - { target, expireType : 'delete'|'redirect', redirect (URL for 'redirect'), priority }
+ */
+
+  let config = {site : item.site, path : item.path, date : scheduleDate(date), expire_type : expireType, redirect, priority};
+
+  if (target !== '') config.target = target;
+
+  return api.files_expire(dropUndefined(config));
+
+}
+
+async function schedulePublish(item, date, { target = '', priority } = {}) {
+
+/**
+ * Schedules a page (or everything in a directory) to publish at `date`.
+ *
+ * @param {Object} item - {site, path}
+ * @param {Date|string|number} date - must be in the future
+ * @param {Object} [options] - { target, priority }
+ */
+
+  let config = {site : item.site, path : item.path, date : scheduleDate(date), priority};
+
+  if (target !== '') config.target = target;
+
+  return api.files_schedule(config);
+
+}
+
+/** ------ [SET] ------ **/
+
+async function setDirectoriesAccess(directories, access, { stopOnError, onProgress, signal } = {}) {
+
+/**
+ * Sets access for many directories.
+ * Returns counts of updated vs already-correct vs failed (see summarizeUpdates()).
+ *
+ * @param {Object} [options] - api.batch() options { stopOnError, onProgress, signal }
+ */
+
+  return api.batch(directories, directory => setDirectorySettings(directory, {access : access}, { priority : 'bulk', signal }), {
+
+    label : 'access',
+
+    // Only update directories that don't already have the desired access
+    skip : entry => entry.access === access && 'unchanged',
+
+    stopOnError,
+    onProgress,
+    signal,
+
+  })
+
+    .then(summarizeUpdates);
+
+}
+
+async function setDirectoriesExtensions(directories, extensions, { stopOnError, onProgress, signal } = {}) {
+
+/**
+ * Sets extensions for many directories.
+ * Returns counts of updated vs already-correct vs failed (see summarizeUpdates()).
+ *
+ * @param {Object} [options] - api.batch() options { stopOnError, onProgress, signal }
+ */
+
+  return api.batch(directories, directory => setDirectorySettings(directory, {extensions : extensions}, { priority : 'bulk', signal }), {
+
+    label : 'extensions',
+    skip : entry => entry.extensions === extensions && 'unchanged',
+
+    stopOnError,
+    onProgress,
+    signal,
+
+  })
+
+    .then(summarizeUpdates);
 
 }
 
-async function setDirectorySettings(directory, settings = {}) {
+async function setDirectorySettings(directory, settings = {}, { priority, signal } = {}) {
 
 /**
  * Updates directory settings by:
@@ -2100,9 +3156,11 @@ async function setDirectorySettings(directory, settings = {}) {
  * 3) overlaying caller changes (including directory variables)
  *
  * NOTE: Directory variables are sent as keys prefixed with '_' in the payload.
+ *
+ * @param {Object} [options] - { priority, signal } signal cancels both requests
  */
 
-  return api.directories_settings({site : directory.site, path : directory.path})
+  return api.directories_settings({site : directory.site, path : directory.path, priority, signal})
 
     .then(data => {
 
@@ -2110,6 +3168,8 @@ async function setDirectorySettings(directory, settings = {}) {
 
         site : directory.site,
         path : directory.path,
+        priority,
+        signal,
         access : data.access,
         approver : data.approver,
         enforce_approver : data.enforce_approver,
@@ -2145,16 +3205,18 @@ async function setDirectorySettings(directory, settings = {}) {
 
 }
 
-async function setFileSettings(file, settings = {}) {
+async function setFileSettings(file, settings = {}, { priority, signal } = {}) {
 
 /**
  * Updates file settings similarly to setDirectorySettings():
  * 1) fetch current settings
  * 2) build POST payload using existing values
  * 3) overlay caller overrides
+ *
+ * @param {Object} [options] - { priority, signal } signal cancels both requests
  */
 
-  return api.files_settings({site : file.site, path : file.path})
+  return api.files_settings({site : file.site, path : file.path, priority, signal})
 
     .then(data => {
 
@@ -2185,33 +3247,59 @@ async function setFileSettings(file, settings = {}) {
       // Overlay caller overrides
       for (let key of Object.keys(settings)) config[key] = settings[key];
 
+      config.priority = priority;
+
+      config.signal = signal;
+
       return api.files_settings(config, 'POST');
 
     });
 
 }
 
-async function setFilesAccess(files, access) {
+async function setFilesAccess(files, access, { stopOnError, onProgress, signal } = {}) {
 
 /**
  * Sets access for many files.
- * Returns counts of updated vs already-correct.
+ * Returns counts of updated vs already-correct vs failed (see summarizeUpdates()).
+ *
+ * @param {Object} [options] - api.batch() options { stopOnError, onProgress, signal }
  */
 
-  let promises = [];
+  return api.batch(files, file => setFileSettings(file, {access : access}, { priority : 'bulk', signal }), {
 
-  let filtered = files.filter(entry => entry.access !== access);
+    label : 'access',
+    skip : entry => entry.access === access && 'unchanged',
 
-  for (let file of filtered) promises.push(setFileSettings(file, {access : access}));
+    stopOnError,
+    onProgress,
+    signal,
 
-  return Promise.all(promises)
+  })
+
+    .then(summarizeUpdates);
 
-    .then(results => ({
+}
 
-      updated : results.length,
-      verified : (files.length - results.length),
+function summarizeUpdates(batch) {
 
-    }));
+/**
+ * Turns an api.batch() result of a settings update into counts:
+ * - updated  : items changed
+ * - verified : items that already had the value (skipped as 'unchanged')
+ * - failed   : items whose update failed
+ * - results  : the per-item batch results ({item, status, error, reason})
+ */
+
+  return {
+
+    updated : batch.succeeded,
+    verified : batch.results.filter(result => result.reason === 'unchanged').length,
+    failed : batch.failed,
+    stopped : batch.stopped,
+    results : batch.results,
+
+  };
 
 }
 
@@ -2316,29 +3404,162 @@ async function toggleLoading() {
 
 /** ------ [UNLOCK] ------ **/
 
-async function unlockFile(file) {
+async function unlockFile(file, { priority, signal } = {}) {
 
 /**
  * Forces check-in (unlock) of a file.
  * override:true means it will unlock even if another user locked it.
  */
 
-  return api.files_checkin({site : file.site, path : file.path, override : true});
+  return api.files_checkin({site : file.site, path : file.path, override : true, priority, signal});
 
 }
 
-async function unlockFiles(files) {
+async function unlockFiles(files, { stopOnError, onProgress, signal } = {}) {
 
 /**
  * Unlocks a batch of files in parallel.
  *
  * @param {Array<Object>} files - {site, path}
+ * @param {Object} [options] - api.batch() options { stopOnError, onProgress, signal }
+ * @returns {Promise<Object>} api.batch() result, one entry per file
  */
 
-  let promises = [];
+  return api.batch(files, file => unlockFile(file, { priority : 'bulk', signal }), {
+
+    label : 'unlock',
+    stopOnError,
+    onProgress,
+    signal,
+
+  });
 
-  for (let file of files) promises.push(unlockFile(file));
+}
+
+/** ------ [UPLOAD] ------ **/
+
+async function uploadFile(directory, file, { name, overwrite, priority, signal, onProgress } = {}) {
+
+/**
+ * Uploads one file into a directory (sent as multipart form data).
+ *
+ * @param {Object} directory - {site, path}
+ * @param {File|Blob|ArrayBuffer|string} file - Blobs and buffers need `name`
+ * @param {Object} [options] - { name, overwrite, priority, signal, onProgress }
+ *   overwrite defaults to files_upload's default (true); onProgress gets {loaded, total}
+ * @returns {Promise<Object>} the uploaded file as a BinaryFile (or Page, for .pcf uploads)
+ */
+
+  name = name || file.name;
+
+  let config = {site : directory.site, path : directory.path, file, name, priority, signal, onProgress};
+
+  if (overwrite !== undefined) config.overwrite = overwrite;
+
+  return api.files_upload(config)
+
+    .then(() => CmsFile.fromPath(directory.site, `${directory.path.replace(/\/$/, '')}/${name}`));
+
+}
+
+async function uploadFiles(directory, files, { overwrite, stopOnError, signal, onProgress } = {}) {
+
+/**
+ * Uploads many files into one directory in parallel (bulk lane).
+ *
+ * @param {Object} directory - {site, path}
+ * @param {Array<File>} files - e.g. [...input.files]
+ * @param {Object} [options] - { overwrite, stopOnError, signal, onProgress }
+ *   onProgress gets the combined {loaded, total, done, count} across all files
+ * @returns {Promise<Object>} api.batch() result; successful values are BinaryFile / Page models
+ */
+
+  let loaded = files.map(() => 0);
+
+  let total = files.reduce((sum, file) => sum + (file.size ?? file.byteLength ?? file.length ?? 0), 0);
+
+  let done = 0;
+
+  // Combined progress across every file
+  const report = () => {
+
+    if (!onProgress) return;
+
+    onProgress({
+
+      loaded : loaded.reduce((sum, value) => sum + value, 0),
+      total,
+      done,
+      count : files.length,
+
+    });
+
+  };
+
+  const upload = (file, index) => uploadFile(directory, file, {
+
+    overwrite,
+    signal,
+    priority : 'bulk',
 
-  return Promise.all(promises);
+    onProgress : progress => {
+
+      loaded[index] = progress.loaded;
+
+      report();
+
+    },
+
+  });
+
+  return api.batch(files, upload, {
+
+    label : 'upload',
+    stopOnError,
+    signal,
+
+    onProgress : progress => {
+
+      done = progress.done;
+
+      report();
+
+    },
+
+  });
+
+}
+
+/** ------ [WAIT] ------ **/
+
+async function wait(ms, signal) {
+
+/**
+ * Resolves after `ms` milliseconds, or as soon as `signal` is aborted.
+ * Never rejects; callers check the signal (or let the next API call reject).
+ *
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ */
+
+  if (signal && signal.aborted) return;
+
+  return new Promise(resolve => {
+
+    const done = () => {
+
+      clearTimeout(timerId);
+
+      if (signal) signal.removeEventListener('abort', done);
+
+      resolve();
+
+    };
+
+    let timerId = setTimeout(done, ms);
+
+    if (signal) signal.addEventListener('abort', done, { once : true });
+
+  });
 
 }
\ No newline at end of file